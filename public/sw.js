@@ -0,0 +1,84 @@
+// Service worker - keeps the app shell and photos available offline
+// Schedule data lives in IndexedDB (see src/offlineStore.js); API JSON is never cached here.
+
+const SHELL_CACHE = 'shell-v1'
+const IMAGE_CACHE = 'images-v2'
+const MAX_IMAGES = 60 // A few cycles' worth of photos
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(['./', './manifest.webmanifest', './icon.svg']))
+  )
+  self.skipWaiting()
+})
+
+// Drop caches from older versions of this worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE && key !== IMAGE_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Keep only the most recently added images
+const trimImages = async () => {
+  const cache = await caches.open(IMAGE_CACHE)
+  const keys = await cache.keys()
+  await Promise.all(keys.slice(0, Math.max(keys.length - MAX_IMAGES, 0)).map(key => cache.delete(key)))
+}
+
+// Photos never change under the same URL, so serve them from cache first
+// Opaque responses (images loaded without CORS) are padded heavily against the storage quota, so
+// only readable ones are kept; a full cache never keeps the image from showing
+const cacheFirstImage = async (request) => {
+  const cache = await caches.open(IMAGE_CACHE)
+  const cached = await cache.match(request)
+  if (cached) {
+    return cached
+  }
+  const response = await fetch(request)
+  if (response.ok) {
+    try {
+      await cache.put(request, response.clone())
+      await trimImages()
+    } catch (err) {
+      console.warn('Could not cache image:', err)
+    }
+  }
+  return response
+}
+
+// App shell: use the network when it's there, the last copy when it isn't
+const networkFirst = async (request, cacheKey = request) => {
+  const cache = await caches.open(SHELL_CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone())
+    }
+    return response
+  } catch (err) {
+    const cached = await cache.match(cacheKey)
+    if (cached) {
+      return cached
+    }
+    throw err
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') {
+    return
+  }
+
+  const url = new URL(request.url)
+  if (request.destination === 'image' || url.pathname.includes('/api/image/')) {
+    event.respondWith(cacheFirstImage(request))
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, './'))
+  } else if (url.origin === self.location.origin && !url.pathname.includes('/api/')) {
+    event.respondWith(networkFirst(request))
+  }
+})
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// CORS middleware allowing the given origins; '*' allows any
+function createCors(origins) {
+  const allowAll = origins.includes('*');
+
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    if (allowAll) {
+      res.header('Access-Control-Allow-Origin', '*');
+    } else {
+      res.vary('Origin');
+      if (origin && origins.includes(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+      }
+    }
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    if (req.method === 'OPTIONS') {
+      return res.sendStatus(204);
+    }
+    next();
+  };
+}
+
+// Middleware letting through only requests with "Authorization: Bearer <token>"
+// Without a token the routes behind it are disabled
+function requireToken(token) {
+  // Hashing both sides gives equal lengths for the constant-time comparison
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  const expected = token ? digest(token) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(403).json({ error: 'Admin API disabled', message: 'Set ADMIN_TOKEN to enable it' });
+    }
+
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || !crypto.timingSafeEqual(digest(match[1]), expected)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Unauthorized', message: 'A valid admin token is required' });
+    }
+    next();
+  };
+}
+
+module.exports = { createCors, requireToken };
@@ -0,0 +1,86 @@
+// Add the referral parameters Unsplash requires on attribution links
+// Links to other hosts (e.g. local photos) are returned unchanged
+function withReferral(url, appName) {
+  let link;
+  try {
+    link = new URL(url);
+  } catch {
+    return url;
+  }
+  if (link.hostname !== 'unsplash.com' && !link.hostname.endsWith('.unsplash.com')) {
+    return url;
+  }
+  link.searchParams.set('utm_source', appName);
+  link.searchParams.set('utm_medium', 'referral');
+  return link.toString();
+}
+
+// Reports photos to a provider's download tracking once each, when they're first shown
+//   track      - provider.trackDownload(photo), resolves once reported
+//   tracked    - IDs already reported by a previous run
+//   onChange   - called after a photo is reported, to persist toJSON()
+//   check      - throws RateLimitedError while upstream requests are paused (rateLimiter.check)
+//   now        - epoch milliseconds, on the same clock as check's retryAt
+// Failed reports are retried with exponential backoff up to maxAttempts times.
+// While paused, reports wait until retryAt without using up an attempt.
+function createDownloadTracker({
+  track,
+  tracked = [],
+  onChange = () => {},
+  check = () => {},
+  now = () => Date.now(),
+  maxAttempts = 5,
+  retryDelayMs = 60 * 1000,
+  maxTracked = 10000
+}) {
+  const trackedIds = new Set(tracked);
+  const pending = new Set();
+
+  async function attempt(photo, attemptNumber) {
+    try {
+      check();
+    } catch (error) {
+      setTimeout(() => attempt(photo, attemptNumber), Math.max(error.retryAt - now(), 0)).unref();
+      return;
+    }
+
+    try {
+      await track(photo);
+      pending.delete(photo.id);
+      trackedIds.add(photo.id);
+      // Sets iterate in insertion order, so the oldest IDs go first
+      for (const id of trackedIds) {
+        if (trackedIds.size <= maxTracked) {
+          break;
+        }
+        trackedIds.delete(id);
+      }
+      onChange();
+    } catch (error) {
+      if (attemptNumber >= maxAttempts) {
+        pending.delete(photo.id);
+        console.error(`Giving up on download tracking for ${photo.id}:`, error.message);
+        return;
+      }
+      const delay = retryDelayMs * 2 ** (attemptNumber - 1);
+      setTimeout(() => attempt(photo, attemptNumber + 1), delay).unref();
+    }
+  }
+
+  // Report a photo that just became the active slot, unless already done
+  function markActive(photo) {
+    if (!photo?.links?.download_location || trackedIds.has(photo.id) || pending.has(photo.id)) {
+      return;
+    }
+    pending.add(photo.id);
+    attempt(photo, 1);
+  }
+
+  function toJSON() {
+    return [...trackedIds];
+  }
+
+  return { markActive, toJSON };
+}
+
+module.exports = { withReferral, createDownloadTracker };
@@ -0,0 +1,61 @@
+// Blocklist entry types and how each one matches a photo
+const MATCHERS = {
+  // Exact photo ID
+  photo: (photo, value) => photo.id === value,
+  // Photographer username, case-insensitive
+  user: (photo, value) => (photo.user?.username || '').toLowerCase() === value,
+  // Keyword anywhere in description, alt text or tag titles, case-insensitive
+  keyword: (photo, value) => [
+    photo.description,
+    photo.alt_description,
+    ...(photo.tags || []).map(tag => tag.title)
+  ].some(text => (text || '').toLowerCase().includes(value))
+};
+
+const BLOCKLIST_TYPES = Object.keys(MATCHERS);
+
+// Photos, photographers and keywords that must never be shown
+// saved: { photo: [...], user: [...], keyword: [...] } from a previous run
+function createBlocklist(saved = {}) {
+  const entries = {};
+  for (const type of BLOCKLIST_TYPES) {
+    entries[type] = new Set(saved[type] || []);
+  }
+
+  // Usernames and keywords are matched case-insensitively
+  function normalize(type, value) {
+    const text = String(value).trim();
+    return type === 'photo' ? text : text.toLowerCase();
+  }
+
+  function isBlocked(photo) {
+    return BLOCKLIST_TYPES.some(type => [...entries[type]].some(value => MATCHERS[type](photo, value)));
+  }
+
+  // Returns false if the entry was already there
+  function add(type, value) {
+    const normalized = normalize(type, value);
+    if (entries[type].has(normalized)) {
+      return false;
+    }
+    entries[type].add(normalized);
+    return true;
+  }
+
+  // Returns false if there was no such entry
+  function remove(type, value) {
+    return entries[type].delete(normalize(type, value));
+  }
+
+  function toJSON() {
+    const json = {};
+    for (const type of BLOCKLIST_TYPES) {
+      json[type] = [...entries[type]];
+    }
+    return json;
+  }
+
+  return { isBlocked, add, remove, toJSON };
+}
+
+module.exports = { createBlocklist, BLOCKLIST_TYPES };
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const { normalizeDayparts } = require('./dayparts');
+
+const DEFAULT_CHANNEL = 'default';
+const CHANNEL_FIELDS = ['query', 'topics', 'collections', 'orientation', 'dayparts'];
+
+// Normalize one channel definition into random-endpoint parameters, plus its daypart rules
+function normalizeChannel(name, definition, orientation) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) {
+    throw new Error(`Invalid channel name "${name}": use letters, digits, "-" and "_"`);
+  }
+
+  const channel = { orientation };
+  for (const [field, value] of Object.entries(definition || {})) {
+    if (!CHANNEL_FIELDS.includes(field)) {
+      throw new Error(`Channel "${name}": unknown field "${field}"`);
+    }
+    if (field === 'dayparts') {
+      channel.dayparts = normalizeDayparts(name, value);
+      continue;
+    }
+    // topics and collections may be listed as arrays of IDs
+    channel[field] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+
+  // Unsplash ignores query when topics or collections are given
+  if (channel.query && (channel.topics || channel.collections)) {
+    throw new Error(`Channel "${name}": query can't be combined with topics or collections`);
+  }
+
+  return channel;
+}
+
+// Normalize channel definitions: { "<name>": { query, topics, collections, orientation, dayparts } }
+// A "default" channel with no filters always exists unless the definitions include their own
+// Channels without an orientation get the given one
+function normalizeChannels(definitions, { orientation = 'landscape' } = {}) {
+  const channels = { [DEFAULT_CHANNEL]: normalizeChannel(DEFAULT_CHANNEL, {}, orientation) };
+  for (const [name, definition] of Object.entries(definitions)) {
+    channels[name] = normalizeChannel(name, definition, orientation);
+  }
+  return channels;
+}
+
+// Load channel definitions from a JSON file, if it exists
+function loadChannels(filePath, options) {
+  let definitions = {};
+  if (fs.existsSync(filePath)) {
+    definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  return normalizeChannels(definitions, options);
+}
+
+module.exports = { loadChannels, normalizeChannels, DEFAULT_CHANNEL };
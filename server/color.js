@@ -0,0 +1,126 @@
+// Color math on photos' dominant `color` (#rrggbb): daypart color filters and set curation
+
+// Hue (degrees), saturation and lightness (0-1) of a #rrggbb color, or null if it can't be read
+function toHsl(hex) {
+  const match = /^#?([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i.exec(hex || '');
+  if (!match) {
+    return null;
+  }
+  const [r, g, b] = match.slice(1).map(part => parseInt(part, 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) {
+    return { hue: 0, saturation: 0, lightness };
+  }
+
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === r) {
+    hue = ((g - b) / delta) % 6;
+  } else if (max === g) {
+    hue = (b - r) / delta + 2;
+  } else {
+    hue = (r - g) / delta + 4;
+  }
+  return { hue: (hue * 60 + 360) % 360, saturation, lightness };
+}
+
+function toHex({ hue, saturation, lightness }) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    const value = lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(value * 255).toString(16).padStart(2, '0');
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// A point per photo: hue as an angle scaled by saturation (greys sit in the middle), lightness as height
+// Photos without a readable color count as mid grey
+function toPoint(photo) {
+  const { hue, saturation, lightness } = toHsl(photo.color) || { hue: 0, saturation: 0, lightness: 0.5 };
+  const angle = hue * Math.PI / 180;
+  return [saturation * Math.cos(angle), saturation * Math.sin(angle), lightness];
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// Order photos into a smooth progression: start from the darkest and always step to the
+// closest remaining color
+function orderByColor(photos) {
+  const remaining = photos.map(photo => ({ photo, point: toPoint(photo) }));
+  if (remaining.length === 0) {
+    return [];
+  }
+
+  remaining.sort((a, b) => a.point[2] - b.point[2]);
+  const ordered = [remaining.shift()];
+  while (remaining.length > 0) {
+    const last = ordered[ordered.length - 1].point;
+    let closest = 0;
+    remaining.forEach((entry, i) => {
+      if (distance(entry.point, last) < distance(remaining[closest].point, last)) {
+        closest = i;
+      }
+    });
+    ordered.push(...remaining.splice(closest, 1));
+  }
+  return ordered.map(entry => entry.photo);
+}
+
+// Pick the count photos out of candidates whose colors sit closest together:
+// each candidate is tried as the center, with its nearest neighbours around it
+// Ties go to candidates earlier in the list, so older queued photos are preferred
+// accepts(chosen, photo) can turn a neighbour away; if no center gathers a full set,
+// the first count candidates are returned
+function pickCoherentSet(candidates, count, accepts = () => true) {
+  if (candidates.length <= count) {
+    return candidates;
+  }
+
+  const points = candidates.map(toPoint);
+  let best = null;
+  candidates.forEach((photo, center) => {
+    const nearest = [];
+    candidates
+      .map((candidate, i) => ({ i, distance: distance(points[i], points[center]) }))
+      .sort((a, b) => a.distance - b.distance || a.i - b.i)
+      .forEach(entry => {
+        if (nearest.length < count && accepts(nearest.map(({ i }) => candidates[i]), candidates[entry.i])) {
+          nearest.push(entry);
+        }
+      });
+    if (nearest.length < count) {
+      return;
+    }
+    const spread = nearest.reduce((sum, entry) => sum + entry.distance, 0);
+    if (!best || spread < best.spread) {
+      best = { spread, indexes: nearest.map(entry => entry.i).sort((a, b) => a - b) };
+    }
+  });
+  return best ? best.indexes.map(i => candidates[i]) : candidates.slice(0, count);
+}
+
+// Colors of a set, in order, plus an accent for UI highlights: the hue of the photo
+// closest to the set's average, brightened enough to stand out on a dark background
+function getPalette(photos) {
+  const colors = photos.map(photo => photo.color).filter(color => toHsl(color));
+  if (colors.length === 0) {
+    return { colors: [], accent: null };
+  }
+
+  const points = colors.map(color => toPoint({ color }));
+  const center = [0, 1, 2].map(axis => points.reduce((sum, point) => sum + point[axis], 0) / points.length);
+  const closest = points.reduce((best, point, i) => (distance(point, center) < distance(points[best], center) ? i : best), 0);
+  const { hue, saturation } = toHsl(colors[closest]);
+  return {
+    colors,
+    accent: toHex({ hue, saturation: saturation < 0.1 ? saturation : Math.max(saturation, 0.6), lightness: 0.65 })
+  };
+}
+
+module.exports = { toHsl, toHex, orderByColor, pickCoherentSet, getPalette };
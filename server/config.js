@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { PLAYBACK_MODES, TRANSITIONS, CURATIONS, MAX_PHOTOS_PER_REQUEST, checkRhythm } = require('./settings');
+
+// Thrown when the configuration can't be used; problems lists every invalid value
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Settings the CLI server reads, by their config file key. Each one can also be set
+// with its environment variable, which wins over the file.
+//   type    - string, integer, boolean, list (comma-separated in env), enum (one of values), url or timeZone
+//   default - used when neither the file nor the environment sets it; omitted means unset
+//   secret  - redacted when the configuration is printed
+const CONFIG_SCHEMA = {
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 5000 },
+  provider: { env: 'PHOTO_PROVIDER', type: 'enum', values: ['unsplash', 'local', 'mock'], default: 'unsplash' },
+  accessKey: { env: 'UNSPLASH_ACCESS_KEY', type: 'string', secret: true },
+  unsplashApiUrl: { env: 'UNSPLASH_API_URL', type: 'url' },
+  appName: { env: 'UNSPLASH_APP_NAME', type: 'string', default: 'unsplash_slideshow' },
+  localPhotosDir: { env: 'LOCAL_PHOTOS_DIR', type: 'string', default: 'photos' },
+  localPhotosAuthor: { env: 'LOCAL_PHOTOS_AUTHOR', type: 'string' },
+  publicUrl: { env: 'PUBLIC_URL', type: 'url' },
+  channelsPath: { env: 'CHANNELS_PATH', type: 'string', default: 'channels.json' },
+  orientation: { env: 'ORIENTATION', type: 'enum', values: ['landscape', 'portrait', 'squarish'], default: 'landscape' },
+  timeZone: { env: 'TIME_ZONE', type: 'timeZone' },
+  slotMinutes: { env: 'SLOT_MINUTES', type: 'integer', min: 1, default: 10 },
+  cycleMinutes: { env: 'CYCLE_MINUTES', type: 'integer', min: 1, default: 60 },
+  batchSize: { env: 'BATCH_SIZE', type: 'integer', min: 1, max: MAX_PHOTOS_PER_REQUEST },
+  historySize: { env: 'HISTORY_SIZE', type: 'integer', min: 1 },
+  repeatWindowHours: { env: 'REPEAT_WINDOW_HOURS', type: 'integer', min: 0, default: 48 },
+  maxPerPhotographer: { env: 'MAX_PER_PHOTOGRAPHER', type: 'integer', min: 0, default: 2 },
+  rateLimitReserve: { env: 'RATE_LIMIT_RESERVE', type: 'integer', min: 0, default: 0 },
+  playbackMode: { env: 'PLAYBACK_MODE', type: 'enum', values: PLAYBACK_MODES, default: 'live' },
+  transition: { env: 'TRANSITION', type: 'enum', values: TRANSITIONS, default: 'fade' },
+  curation: { env: 'CURATION', type: 'enum', values: CURATIONS, default: 'off' },
+  storagePath: { env: 'STORAGE_PATH', type: 'string', default: 'data/state.json' },
+  imageCacheDir: { env: 'IMAGE_CACHE_DIR', type: 'string', default: 'data/images' },
+  imageCacheMaxMb: { env: 'IMAGE_CACHE_MAX_MB', type: 'integer', min: 1, default: 500 },
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: ['*'] },
+  adminToken: { env: 'ADMIN_TOKEN', type: 'string', secret: true },
+  requestLog: { env: 'REQUEST_LOG', type: 'boolean', default: true }
+};
+
+// Looked for in this order when CONFIG_PATH isn't set
+const CONFIG_FILES = ['config.json', 'config.yaml', 'config.yml'];
+const PATH_KEYS = ['localPhotosDir', 'channelsPath', 'storagePath', 'imageCacheDir'];
+// Access key values copied from examples rather than set
+const PLACEHOLDER_KEYS = ['your_access_key', 'your_unsplash_access_key', 'xxxxxxx'];
+
+// Problems with settings that depend on each other; each is only checked once its values are valid
+function checkCombinations(config) {
+  const { slotMinutes, cycleMinutes, batchSize } = config;
+  if (slotMinutes === undefined || cycleMinutes === undefined) {
+    return [];
+  }
+  return checkRhythm({ slotMinutes, cycleMinutes, batchSize });
+}
+
+// Read a config file as an object of settings, or throw ConfigError
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`Can't read config file ${filePath}: ${error.message}`]);
+  }
+
+  let values;
+  try {
+    values = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`Config file ${filePath} isn't valid ${/\.ya?ml$/i.test(filePath) ? 'YAML' : 'JSON'}: ${error.message}`]);
+  }
+  if (values === null || values === undefined) {
+    return {};
+  }
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError([`Config file ${filePath} must hold an object of settings`]);
+  }
+  return values;
+}
+
+// Check one value against its schema entry; env values arrive as strings and are converted
+// Returns { value } or { problem }
+function parseValue(key, spec, raw, fromEnv) {
+  const name = fromEnv ? spec.env : key;
+  const fail = expected => ({ problem: `${name} must be ${expected}, got ${JSON.stringify(raw)}` });
+
+  switch (spec.type) {
+    case 'integer': {
+      const value = fromEnv && /^-?\d+$/.test(raw.trim()) ? Number(raw) : raw;
+      if (!Number.isInteger(value) || (spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        const range = spec.max !== undefined ? ` from ${spec.min} to ${spec.max}` : ` of at least ${spec.min}`;
+        return fail(`a whole number${range}`);
+      }
+      return { value };
+    }
+    case 'boolean': {
+      const value = fromEnv ? { true: true, 1: true, false: false, 0: false }[raw.trim().toLowerCase()] : raw;
+      return typeof value === 'boolean' ? { value } : fail('true or false');
+    }
+    case 'list': {
+      const items = fromEnv || typeof raw === 'string' ? String(raw).split(',') : raw;
+      if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+        return fail('a list of strings');
+      }
+      const value = items.map(item => item.trim()).filter(Boolean);
+      return value.length > 0 ? { value } : fail('a non-empty list');
+    }
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : fail(`one of: ${spec.values.join(', ')}`);
+    case 'url':
+      if (typeof raw !== 'string' || !URL.canParse(raw)) {
+        return fail('an absolute URL');
+      }
+      return { value: raw.replace(/\/$/, '') };
+    case 'timeZone':
+      try {
+        new Intl.DateTimeFormat(undefined, { timeZone: raw });
+        return { value: raw };
+      } catch {
+        return fail('an IANA time zone such as Europe/Berlin');
+      }
+    default:
+      return typeof raw === 'string' && raw.trim() ? { value: raw.trim() } : fail('a non-empty string');
+  }
+}
+
+// Build the effective configuration: defaults, then the config file, then environment variables
+//   env     - environment variables (default: process.env)
+//   rootDir - relative paths in the config are resolved against it
+// Returns { config, sources, filePath }; sources tells where each value came from.
+// Throws ConfigError listing every problem at once.
+function loadConfig({ env = process.env, rootDir = process.cwd() } = {}) {
+  let filePath = env.CONFIG_PATH ? path.resolve(rootDir, env.CONFIG_PATH) : null;
+  if (!filePath) {
+    const found = CONFIG_FILES.find(file => fs.existsSync(path.join(rootDir, file)));
+    filePath = found ? path.join(rootDir, found) : null;
+  }
+  const fileValues = filePath ? readConfigFile(filePath) : {};
+
+  const problems = Object.keys(fileValues)
+    .filter(key => !CONFIG_SCHEMA[key])
+    .map(key => `Unknown setting "${key}" in ${filePath}. Known settings: ${Object.keys(CONFIG_SCHEMA).join(', ')}`);
+  const config = {};
+  const sources = {};
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    // Empty environment variables count as unset
+    const fromEnv = env[spec.env] !== undefined && env[spec.env] !== '';
+    const raw = fromEnv ? env[spec.env] : fileValues[key];
+
+    if (raw === undefined || raw === null) {
+      if (spec.default !== undefined) {
+        config[key] = spec.default;
+        sources[key] = 'default';
+      }
+      continue;
+    }
+
+    const { value, problem } = parseValue(key, spec, raw, fromEnv);
+    if (problem) {
+      problems.push(fromEnv ? problem : `${problem} (in ${filePath})`);
+      continue;
+    }
+    config[key] = value;
+    sources[key] = fromEnv ? spec.env : path.basename(filePath);
+  }
+
+  if (config.provider === 'unsplash' && !config.accessKey) {
+    problems.push('An Unsplash access key is required with the unsplash provider: set UNSPLASH_ACCESS_KEY, or accessKey in the config file');
+  } else if (config.provider === 'unsplash' && PLACEHOLDER_KEYS.includes(config.accessKey.toLowerCase())) {
+    problems.push(`The Unsplash access key is still the placeholder "${config.accessKey}": set your own with UNSPLASH_ACCESS_KEY or accessKey`);
+  }
+  problems.push(...checkCombinations(config));
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  for (const key of PATH_KEYS) {
+    config[key] = path.resolve(rootDir, config[key]);
+  }
+  if (!config.publicUrl) {
+    config.publicUrl = `http://localhost:${config.port}`;
+    sources.publicUrl = 'default';
+  }
+
+  return { config, sources, filePath };
+}
+
+// The configuration as printable lines, secrets redacted: "  port: 5000 (PORT)"
+function describeConfig({ config, sources }) {
+  return Object.keys(CONFIG_SCHEMA)
+    .filter(key => config[key] !== undefined)
+    .map(key => {
+      const value = CONFIG_SCHEMA[key].secret ? '[redacted]' : JSON.stringify(config[key]);
+      return `  ${key}: ${value} (${sources[key]})`;
+    });
+}
+
+module.exports = { loadConfig, describeConfig, ConfigError, CONFIG_SCHEMA };
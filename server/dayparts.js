@@ -0,0 +1,122 @@
+// Time-of-day rules: a channel can swap its filters for parts of the day, e.g.
+//   { "name": "night", "hours": "22-05", "query": "night sky", "color": "black" }
+// hours run from the start hour up to (not including) the end hour and may wrap past midnight;
+// days limits a rule to some weekdays. The first matching rule wins.
+const { toHsl } = require('./color');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SOURCE_FIELDS = ['query', 'topics', 'collections'];
+const DAYPART_FIELDS = ['name', 'hours', 'days', 'orientation', 'color', ...SOURCE_FIELDS];
+
+// Unsplash's color filter names, matched against a photo's dominant color:
+// [min hue, max hue) in degrees for the colorful ones, lightness bounds for the rest
+const COLORS = {
+  black: { maxLightness: 0.2 },
+  white: { minLightness: 0.8 },
+  black_and_white: { maxSaturation: 0.15 },
+  red: { hues: [[345, 360], [0, 15]] },
+  orange: { hues: [[15, 45]] },
+  yellow: { hues: [[45, 70]] },
+  green: { hues: [[70, 160]] },
+  teal: { hues: [[160, 200]] },
+  blue: { hues: [[200, 255]] },
+  purple: { hues: [[255, 290]] },
+  magenta: { hues: [[290, 345]] }
+};
+
+// Whether a photo's dominant color falls under one of the COLORS names
+function matchesColor(photo, color) {
+  const hsl = toHsl(photo.color);
+  if (!hsl) {
+    return false;
+  }
+  const { hues, minLightness, maxLightness, maxSaturation } = COLORS[color];
+  if (hues) {
+    // Greys and near-black or near-white photos have no meaningful hue
+    return hsl.saturation >= 0.2 && hsl.lightness >= 0.15 && hsl.lightness <= 0.85
+      && hues.some(([from, to]) => hsl.hue >= from && hsl.hue < to);
+  }
+  return (minLightness === undefined || hsl.lightness >= minLightness)
+    && (maxLightness === undefined || hsl.lightness <= maxLightness)
+    && (maxSaturation === undefined || hsl.saturation <= maxSaturation);
+}
+
+// Normalize a channel's daypart rules, throwing on anything that can't be used
+function normalizeDayparts(channelName, definitions) {
+  if (!Array.isArray(definitions)) {
+    throw new Error(`Channel "${channelName}": dayparts must be a list of rules`);
+  }
+
+  const names = new Set();
+  return definitions.map(definition => {
+    const name = definition?.name;
+    if (typeof name !== 'string' || !/^[a-z0-9_-]+$/i.test(name) || names.has(name)) {
+      throw new Error(`Channel "${channelName}": every daypart needs a unique name of letters, digits, "-" and "_"`);
+    }
+    names.add(name);
+    const fail = message => new Error(`Channel "${channelName}", daypart "${name}": ${message}`);
+
+    for (const field of Object.keys(definition)) {
+      if (!DAYPART_FIELDS.includes(field)) {
+        throw fail(`unknown field "${field}"`);
+      }
+    }
+
+    const hours = /^(\d{1,2})-(\d{1,2})$/.exec(String(definition.hours ?? '')) || [];
+    const [start, end] = hours.slice(1).map(Number);
+    if (!(start <= 23 && end <= 24 && start !== end)) {
+      throw fail('hours must look like "22-05" (from the start hour up to the end hour)');
+    }
+
+    const days = typeof definition.days === 'string' ? definition.days.split(',') : definition.days;
+    const normalizedDays = days === undefined ? null : days.map(day => String(day).trim().slice(0, 3).toLowerCase());
+    if (normalizedDays && (normalizedDays.length === 0 || normalizedDays.some(day => !DAYS.includes(day)))) {
+      throw fail(`days must list weekdays out of ${DAYS.join(', ')}`);
+    }
+
+    if (definition.color !== undefined && !COLORS[definition.color]) {
+      throw fail(`color must be one of: ${Object.keys(COLORS).join(', ')}`);
+    }
+
+    const rule = { name, hours: [start, end], days: normalizedDays };
+    for (const field of ['orientation', 'color', ...SOURCE_FIELDS]) {
+      if (definition[field] !== undefined) {
+        rule[field] = Array.isArray(definition[field]) ? definition[field].join(',') : String(definition[field]);
+      }
+    }
+    if (rule.query && (rule.topics || rule.collections)) {
+      throw fail("query can't be combined with topics or collections");
+    }
+    return rule;
+  });
+}
+
+// (time) => { hour, day } in the given IANA time zone (default: the server's)
+function createLocalClock(timeZone) {
+  const format = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', weekday: 'short', timeZone });
+  return time => {
+    const parts = Object.fromEntries(format.formatToParts(time).map(part => [part.type, part.value]));
+    return { hour: Number(parts.hour), day: parts.weekday.toLowerCase() };
+  };
+}
+
+// The first rule covering a local hour and weekday, or null
+function findDaypart(dayparts = [], { hour, day }) {
+  return dayparts.find(({ hours: [start, end], days }) => {
+    const inHours = start < end ? hour >= start && hour < end : hour >= start || hour < end;
+    return inHours && (!days || days.includes(day));
+  }) || null;
+}
+
+// Upstream filters for a channel while a rule applies: the rule's query, topics or
+// collections replace the channel's, its orientation overrides the channel's
+function applyDaypart(filters, daypart) {
+  if (!daypart) {
+    return filters;
+  }
+  const { name, hours, days, color, ...ruleFilters } = daypart;
+  const base = SOURCE_FIELDS.some(field => ruleFilters[field]) ? { orientation: filters.orientation } : filters;
+  return { ...base, ...ruleFilters };
+}
+
+module.exports = { normalizeDayparts, createLocalClock, findDaypart, applyDaypart, matchesColor, COLORS };
@@ -0,0 +1,51 @@
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// History items matching a time range [from, to) and a text search over photographer name and description
+function filterHistory(items, { from = null, to = null, q = '' } = {}) {
+  const search = q.trim().toLowerCase();
+  return items.filter(item => {
+    const time = Date.parse(item.timestamp);
+    if (from !== null && time < from) {
+      return false;
+    }
+    if (to !== null && time >= to) {
+      return false;
+    }
+    if (search && !`${item.name}\n${item.description}`.toLowerCase().includes(search)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+// One page of history, newest first
+// cursor is the seq of the last item on the previous page; nextCursor is null on the last page
+function paginateHistory(items, { limit, cursor }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const before = cursor ? parseInt(cursor, 10) : Infinity;
+
+  const older = items.filter(item => item.seq < before).reverse();
+  const page = older.slice(0, pageSize);
+  const nextCursor = older.length > pageSize ? String(page[page.length - 1].seq) : null;
+
+  return { history: page, nextCursor };
+}
+
+const CSV_COLUMNS = ['timestamp', 'id', 'name', 'description', 'link', 'userLink'];
+
+// History as CSV, one row per item in chronological order
+function historyToCsv(items) {
+  const escape = value => {
+    let text = String(value ?? '');
+    // Keep spreadsheets from evaluating descriptions as formulas
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = items.map(item => CSV_COLUMNS.map(column => escape(item[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = { filterHistory, paginateHistory, historyToCsv };
@@ -0,0 +1,193 @@
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const FORMATS = { jpeg: 'image/jpeg', jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp', avif: 'image/avif' };
+const SIZE_STEP = 50; // Requested sizes are rounded up to this, so clients can't create endless variants
+const MAX_SIZE = 4096;
+
+// Round a requested dimension to a cacheable size, or null if not given
+function normalizeSize(value) {
+  const size = parseInt(value, 10);
+  if (!Number.isFinite(size) || size <= 0) {
+    return null;
+  }
+  return Math.min(Math.ceil(size / SIZE_STEP) * SIZE_STEP, MAX_SIZE);
+}
+
+// Where to download a photo's original from: Unsplash renders raw URLs at any size, so ask for
+// one no wider than the largest variant served instead of the full-resolution file
+function getOriginalUrl(photo) {
+  if (photo.urls.raw) {
+    const url = new URL(photo.urls.raw);
+    if (url.hostname.endsWith('unsplash.com')) {
+      url.searchParams.set('w', MAX_SIZE);
+      url.searchParams.set('fit', 'max');
+      return url.href;
+    }
+  }
+  return photo.urls.full || photo.urls.raw || photo.urls.regular;
+}
+
+// On-disk cache of photo bytes and resized variants with size-bounded LRU eviction
+//   directory - where image files are kept
+//   maxBytes  - total size the cache is trimmed back to after each write
+//   isPinned  - (photoId) => true for photos that must not be evicted (current and queued)
+//   fetch, now - how to download images and read the time (default: global fetch and Date.now)
+function createImageCache({ directory, maxBytes, isPinned = () => false, fetch = globalThis.fetch, now = () => Date.now() }) {
+  const entries = new Map(); // File name -> { id, size, lastAccess }
+  const originals = new Map(); // Photo ID -> original file name
+  const pending = new Map(); // File name -> in-flight download/resize promise
+  let totalBytes = 0;
+  let overPinned = false; // Whether pinned files alone have been logged as not fitting
+
+  // Pick up files cached by a previous run, oldest modification first
+  async function init() {
+    await fs.mkdir(directory, { recursive: true });
+    for (const file of await fs.readdir(directory)) {
+      if (file.endsWith('.tmp')) {
+        await fs.rm(path.join(directory, file), { force: true });
+        continue;
+      }
+      const stats = await fs.stat(path.join(directory, file));
+      const id = file.split(/__|\./)[0];
+      track(file, id, stats.size, stats.mtimeMs);
+      if (!file.includes('__')) {
+        originals.set(id, file);
+      }
+    }
+    await evict();
+  }
+
+  function track(file, id, size, lastAccess = now()) {
+    const previous = entries.get(file);
+    totalBytes += size - (previous ? previous.size : 0);
+    entries.set(file, { id, size, lastAccess });
+  }
+
+  function touch(file) {
+    const entry = entries.get(file);
+    if (entry) {
+      entry.lastAccess = now();
+    }
+  }
+
+  async function writeFile(file, id, buffer) {
+    const filePath = path.join(directory, file);
+    await fs.writeFile(`${filePath}.tmp`, buffer);
+    await fs.rename(`${filePath}.tmp`, filePath);
+    track(file, id, buffer.length);
+    await evict();
+  }
+
+  // Remove least recently used files until the cache fits in maxBytes
+  async function evict() {
+    if (totalBytes <= maxBytes) {
+      overPinned = false;
+      return;
+    }
+
+    const candidates = [...entries.entries()]
+      .filter(([file, entry]) => !isPinned(entry.id) && !pending.has(file))
+      .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+    for (const [file, entry] of candidates) {
+      if (totalBytes <= maxBytes) {
+        break;
+      }
+      await fs.rm(path.join(directory, file), { force: true });
+      entries.delete(file);
+      totalBytes -= entry.size;
+      if (originals.get(entry.id) === file) {
+        originals.delete(entry.id);
+      }
+    }
+
+    // Whatever is left is pinned or in use; say so once each time that outgrows the cache
+    if (totalBytes > maxBytes && !overPinned) {
+      console.warn(`Image cache holds ${totalBytes} bytes of pinned images, over its ${maxBytes} byte limit`);
+    }
+    overPinned = totalBytes > maxBytes;
+  }
+
+  // Run work once per file, sharing the promise with concurrent callers
+  function once(file, work) {
+    if (!pending.has(file)) {
+      pending.set(file, work().finally(() => pending.delete(file)));
+    }
+    return pending.get(file);
+  }
+
+  // Download a photo's original bytes unless already cached; resolves to the file name
+  function ensureOriginal(photo) {
+    const cached = originals.get(photo.id);
+    if (cached) {
+      touch(cached);
+      return Promise.resolve(cached);
+    }
+
+    return once(photo.id, async () => {
+      const response = await fetch(getOriginalUrl(photo));
+      if (!response.ok) {
+        throw new Error(`Image download failed for ${photo.id}: ${response.status} ${response.statusText}`);
+      }
+
+      const buffer = Buffer.from(await response.arrayBuffer());
+      const { format } = await sharp(buffer).metadata();
+      const file = `${photo.id}.${format}`;
+      await writeFile(file, photo.id, buffer);
+      originals.set(photo.id, file);
+      return file;
+    });
+  }
+
+  // Get image bytes for a photo, resized/re-encoded when w, h or fmt are given
+  // photo may be null when only a cached copy is expected to exist
+  // Resolves to { buffer, contentType }, or null if the photo isn't cached and can't be fetched
+  async function getImage(id, photo, { w, h, fmt } = {}) {
+    const width = normalizeSize(w);
+    const height = normalizeSize(h);
+    const format = FORMATS[fmt] ? (fmt === 'jpg' ? 'jpeg' : fmt) : null;
+    const isVariant = Boolean(width || height || format);
+    const outputFormat = format || 'jpeg';
+    const variant = `${id}__${width || 0}x${height || 0}.${outputFormat}`;
+
+    if (isVariant && entries.has(variant)) {
+      touch(variant);
+      return { buffer: await fs.readFile(path.join(directory, variant)), contentType: FORMATS[outputFormat] };
+    }
+
+    let original = originals.get(id);
+    if (!original) {
+      if (!photo) {
+        return null;
+      }
+      original = await ensureOriginal(photo);
+    }
+    touch(original);
+
+    if (!isVariant) {
+      const buffer = await fs.readFile(path.join(directory, original));
+      return { buffer, contentType: FORMATS[path.extname(original).slice(1)] || 'application/octet-stream' };
+    }
+
+    const buffer = await once(variant, async () => {
+      const resized = await sharp(path.join(directory, original))
+        .rotate()
+        .resize({ width, height, fit: 'cover', withoutEnlargement: true })
+        .toFormat(outputFormat, { quality: 80 })
+        .toBuffer();
+      await writeFile(variant, id, resized);
+      return resized;
+    });
+    return { buffer, contentType: FORMATS[outputFormat] };
+  }
+
+  function stats() {
+    return { files: entries.size, bytes: totalBytes, maxBytes };
+  }
+
+  return { init, ensureOriginal, getImage, stats };
+}
+
+module.exports = { createImageCache, normalizeSize };
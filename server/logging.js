@@ -0,0 +1,34 @@
+// Structured request logging: one JSON line per request, written once the response is sent
+// onFinish({ method, route, status, durationMs }) also gets every request, e.g. for metrics
+function requestLogger({ enabled = true, onFinish = () => {}, write = line => process.stdout.write(line + '\n') } = {}) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      // The matched route pattern (e.g. /api/image/:id) keeps metric labels bounded
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      onFinish({ method: req.method, route, status: res.statusCode, durationMs });
+
+      if (enabled) {
+        write(JSON.stringify({
+          time: new Date().toISOString(),
+          level: res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info',
+          msg: 'request',
+          method: req.method,
+          path: req.path,
+          query: req.query,
+          route,
+          status: res.statusCode,
+          durationMs: Math.round(durationMs * 10) / 10,
+          ip: req.ip,
+          userAgent: req.get('User-Agent') || null
+        }));
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = { requestLogger };
@@ -0,0 +1,129 @@
+// Minimal Prometheus metrics registry: counters, gauges and histograms,
+// rendered in the text exposition format for GET /metrics
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  // Each metric keeps one series per label combination
+  function register(type, name, help) {
+    const metric = { type, name, help, series: new Map(), collect: null };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function getSeries(metric, labels, create) {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  function counter(name, help) {
+    const metric = register('counter', name, help);
+    return {
+      inc(labels = {}, amount = 1) {
+        getSeries(metric, labels, () => ({ value: 0 })).value += amount;
+      }
+    };
+  }
+
+  // collect() is called on every scrape and returns [labels, value] pairs,
+  // for values read from elsewhere (queue depth, history size, ...)
+  function gauge(name, help, collect) {
+    const metric = register('gauge', name, help);
+    metric.collect = collect;
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register('histogram', name, help);
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, i) => {
+          if (value <= bound) {
+            series.counts[i]++;
+          }
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.collect) {
+      for (const [labels, value] of metric.collect()) {
+        if (value !== null && value !== undefined && !Number.isNaN(value)) {
+          lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        }
+      }
+      return lines;
+    }
+
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        continue;
+      }
+      series.counts.forEach((count, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: metric.buckets[i] })} ${count}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+
+  function render() {
+    return metrics.flatMap(renderMetric).join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// Wrap a photo provider so every upstream call is counted and timed
+// Calls are labelled with status "ok", the upstream HTTP status, or "error" (network failures)
+function instrumentProvider(provider, metrics) {
+  const requests = metrics.counter('slideshow_upstream_requests_total', 'Requests to the photo provider by operation and status');
+  const duration = metrics.histogram('slideshow_upstream_request_duration_seconds', 'Photo provider request latency in seconds');
+  const instrumented = { ...provider };
+
+  for (const operation of ['fetchPhotos', 'fetchPhoto', 'trackDownload']) {
+    if (!provider[operation]) {
+      continue;
+    }
+    instrumented[operation] = async (...args) => {
+      const started = process.hrtime.bigint();
+      let status = 'ok';
+      try {
+        return await provider[operation](...args);
+      } catch (error) {
+        status = String(error.status || 'error');
+        throw error;
+      } finally {
+        requests.inc({ provider: provider.name, operation, status });
+        duration.observe({ provider: provider.name, operation }, Number(process.hrtime.bigint() - started) / 1e9);
+      }
+    };
+  }
+
+  return instrumented;
+}
+
+module.exports = { createMetrics, instrumentProvider };
@@ -0,0 +1,34 @@
+const { createUnsplashProvider } = require('./unsplash');
+const { createLocalProvider, LOCAL_PHOTOS_ROUTE } = require('./local');
+const { createMockProvider, MOCK_PHOTOS_ROUTE } = require('./mock');
+
+// Photo providers share one interface:
+//   provider.name - short identifier for logs
+//   provider.fetchPhotos({ count, orientation, query, topics, collections })
+//     resolves to Unsplash-shaped photo objects; filters a provider can't
+//     apply (e.g. query on a local folder) are ignored
+//   provider.fetchPhoto(id) - optional; resolves to a single photo, rejects with error.status 404 if unknown
+//   provider.trackDownload(photo) - optional; reports a photo as shown (Unsplash download tracking)
+const PROVIDERS = {
+  unsplash: createUnsplashProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+};
+
+// Create a provider by name ('unsplash', 'local' or 'mock')
+function createProvider(type, options) {
+  const factory = PROVIDERS[type];
+  if (!factory) {
+    throw new Error(`Unknown photo provider "${type}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createProvider,
+  createUnsplashProvider,
+  createLocalProvider,
+  createMockProvider,
+  LOCAL_PHOTOS_ROUTE,
+  MOCK_PHOTOS_ROUTE
+};
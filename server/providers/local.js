@@ -0,0 +1,103 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif'];
+
+// Route the server mounts the photo directory under
+const LOCAL_PHOTOS_ROUTE = '/api/local-photos';
+
+// Local folder provider - serves our own images with Unsplash-shaped metadata
+// A sidecar JSON file next to an image (photo.jpg -> photo.json) can override
+// any field, e.g. { "description": "...", "user": { "name": "..." } }
+function createLocalProvider({ directory, publicUrl, author = 'Local' }) {
+  const metadataCache = new Map(); // file name -> photo object
+
+  async function listImages() {
+    const entries = await fs.readdir(directory);
+    return entries.filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  }
+
+  async function readSidecar(file) {
+    const sidecarPath = path.join(directory, `${path.parse(file).name}.json`);
+    try {
+      return JSON.parse(await fs.readFile(sidecarPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Invalid sidecar metadata ${sidecarPath}:`, error.message);
+      }
+      return {};
+    }
+  }
+
+  // Build an Unsplash-shaped photo object for a file in the directory
+  async function describe(file) {
+    if (metadataCache.has(file)) {
+      return metadataCache.get(file);
+    }
+
+    const image = sharp(path.join(directory, file));
+    const [metadata, stats, sidecar] = await Promise.all([image.metadata(), image.stats(), readSidecar(file)]);
+    const { r, g, b } = stats.dominant;
+    const color = '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+    const url = `${publicUrl}${LOCAL_PHOTOS_ROUTE}/${encodeURIComponent(file)}`;
+    const id = 'local-' + crypto.createHash('sha1').update(file).digest('hex').slice(0, 11);
+
+    const photo = {
+      id,
+      width: metadata.width,
+      height: metadata.height,
+      color,
+      description: path.parse(file).name.replace(/[-_]+/g, ' '),
+      alt_description: null,
+      urls: { raw: url, full: url, regular: url, small: url, thumb: url },
+      links: { html: url },
+      ...sidecar,
+      user: {
+        name: author,
+        username: 'local',
+        links: { html: url },
+        ...sidecar.user
+      }
+    };
+
+    metadataCache.set(file, photo);
+    return photo;
+  }
+
+  // Random photos from the directory; repeats only when it holds fewer than count
+  async function fetchPhotos({ count }) {
+    const files = await listImages();
+    if (files.length === 0) {
+      throw new Error(`No images found in ${directory}`);
+    }
+
+    const picked = [];
+    let pool = [];
+    while (picked.length < count) {
+      if (pool.length === 0) {
+        pool = [...files];
+      }
+      const [file] = pool.splice(Math.floor(Math.random() * pool.length), 1);
+      picked.push(file);
+    }
+
+    return Promise.all(picked.map(describe));
+  }
+
+  async function fetchPhoto(id) {
+    const photos = await Promise.all((await listImages()).map(describe));
+    const photo = photos.find(candidate => candidate.id === id);
+    if (!photo) {
+      const error = new Error(`No local photo with ID ${id}`);
+      error.status = 404;
+      throw error;
+    }
+    return photo;
+  }
+
+  return { name: 'local', directory, fetchPhotos, fetchPhoto };
+}
+
+module.exports = { createLocalProvider, LOCAL_PHOTOS_ROUTE };
@@ -0,0 +1,82 @@
+const sharp = require('sharp');
+const defaultFixtures = require('./fixtures/photos.json');
+
+// Route the server serves mock images under
+const MOCK_PHOTOS_ROUTE = '/api/mock-photos';
+const MAX_MOCK_WIDTH = 2400;
+
+// Mock provider - serves fixture photos in a fixed rotation, no network needed
+// Fixtures without urls get images the server renders from their color under MOCK_PHOTOS_ROUTE,
+// reached at publicUrl like local photos
+// Every call is recorded in `calls` (and tracked downloads in `downloads`)
+// so tests can assert on what was requested
+function createMockProvider({ fixtures = defaultFixtures, failWith = null, publicUrl = 'http://localhost:5000' } = {}) {
+  const calls = [];
+  const downloads = [];
+  let position = 0;
+
+  function withUrls(fixture) {
+    const photo = structuredClone(fixture);
+    if (!photo.urls) {
+      const url = `${publicUrl}${MOCK_PHOTOS_ROUTE}/${encodeURIComponent(photo.id)}`;
+      photo.urls = { raw: url, full: url, regular: `${url}?w=1080`, small: `${url}?w=400`, thumb: `${url}?w=200` };
+    }
+    return photo;
+  }
+
+  async function fetchPhotos(params) {
+    calls.push(params);
+    if (failWith) {
+      throw failWith;
+    }
+
+    const photos = [];
+    for (let i = 0; i < params.count; i++) {
+      photos.push(withUrls(fixtures[position % fixtures.length]));
+      position++;
+    }
+    return photos;
+  }
+
+  async function fetchPhoto(id) {
+    calls.push({ id });
+    if (failWith) {
+      throw failWith;
+    }
+
+    const photo = fixtures.find(fixture => fixture.id === id);
+    if (!photo) {
+      const error = new Error(`No fixture photo with ID ${id}`);
+      error.status = 404;
+      throw error;
+    }
+    return withUrls(photo);
+  }
+
+  async function trackDownload(photo) {
+    downloads.push(photo.id);
+  }
+
+  // A JPEG of a fixture's color, fading darker towards the bottom, at most width pixels wide
+  // Resolves to null for unknown IDs
+  async function renderImage(id, { width = MAX_MOCK_WIDTH } = {}) {
+    const fixture = fixtures.find(candidate => candidate.id === id);
+    if (!fixture) {
+      return null;
+    }
+    const w = Math.min(width, fixture.width || MAX_MOCK_WIDTH, MAX_MOCK_WIDTH);
+    const h = Math.round(w * (fixture.height || 2) / (fixture.width || 3));
+    const color = fixture.color || '#808080';
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">
+      <defs><linearGradient id="fade" x1="0" y1="0" x2="0" y2="1">
+        <stop offset="0" stop-color="${color}"/><stop offset="1" stop-color="#000"/>
+      </linearGradient></defs>
+      <rect width="100%" height="100%" fill="url(#fade)"/>
+    </svg>`;
+    return sharp(Buffer.from(svg)).jpeg({ quality: 80 }).toBuffer();
+  }
+
+  return { name: 'mock', calls, downloads, fetchPhotos, fetchPhoto, trackDownload, renderImage };
+}
+
+module.exports = { createMockProvider, MOCK_PHOTOS_ROUTE };
@@ -0,0 +1,80 @@
+// Unsplash provider - fetches random photos from the Unsplash API
+// baseUrl can point at a local stand-in that mimics api.unsplash.com
+// onRateLimit({ limit, remaining }) is called with the budget from each response
+// fetch defaults to the global one
+function createUnsplashProvider({ accessKey, baseUrl = 'https://api.unsplash.com', onRateLimit = () => {}, fetch = globalThis.fetch }) {
+  if (!accessKey) {
+    throw new Error('The unsplash provider needs an access key');
+  }
+
+  // Pass on the budget left, as reported by every API response
+  function reportRateLimit(response) {
+    onRateLimit({
+      limit: parseInt(response.headers.get('X-Ratelimit-Limit'), 10),
+      remaining: parseInt(response.headers.get('X-Ratelimit-Remaining'), 10)
+    });
+  }
+
+  async function fetchPhotos({ count, ...filters }) {
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}/photos/random`);
+    url.searchParams.set('client_id', accessKey);
+    url.searchParams.set('count', count);
+    for (const field of ['orientation', 'query', 'topics', 'collections']) {
+      if (filters[field]) {
+        url.searchParams.set(field, filters[field]);
+      }
+    }
+
+    const response = await fetch(url);
+
+    reportRateLimit(response);
+
+    if (!response.ok) {
+      const error = new Error(`Unsplash API error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return await response.json();
+  }
+
+  // A single photo by its Unsplash ID
+  async function fetchPhoto(id) {
+    const url = new URL(`${baseUrl.replace(/\/$/, '')}/photos/${encodeURIComponent(id)}`);
+    url.searchParams.set('client_id', accessKey);
+
+    const response = await fetch(url);
+
+    reportRateLimit(response);
+
+    if (!response.ok) {
+      const error = new Error(`Unsplash API error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return await response.json();
+  }
+
+  // Tell Unsplash a photo was shown, as its API guidelines require; these count against the budget too
+  // Only locations on the API's own origin get the access key; any other is skipped
+  async function trackDownload(photo) {
+    const location = photo.links?.download_location;
+    if (!URL.canParse(location) || new URL(location).origin !== new URL(baseUrl).origin) {
+      console.warn(`Not tracking a download location outside ${new URL(baseUrl).origin} for photo ${photo.id}`);
+      return;
+    }
+    const url = new URL(location);
+    url.searchParams.set('client_id', accessKey);
+
+    const response = await fetch(url);
+    reportRateLimit(response);
+    if (!response.ok) {
+      throw new Error(`Unsplash download tracking error: ${response.status} ${response.statusText}`);
+    }
+  }
+
+  return { name: 'unsplash', fetchPhotos, fetchPhoto, trackDownload };
+}
+
+module.exports = { createUnsplashProvider };
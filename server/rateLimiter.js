@@ -0,0 +1,73 @@
+// Thrown instead of calling upstream while the limiter is backing off
+class RateLimitedError extends Error {
+  constructor(retryAt) {
+    super(`Upstream requests paused until ${new Date(retryAt).toISOString()}`);
+    this.name = 'RateLimitedError';
+    this.retryAt = retryAt;
+  }
+}
+
+// Tracks the upstream request budget from X-Ratelimit-* headers and backs
+// off after failures, so a bad hour doesn't burn the remaining quota.
+//   reserve      - requests to keep unused at the end of the window
+//   windowMs     - how long an exhausted budget stays exhausted (Unsplash: 1 hour)
+//   baseBackoffMs/maxBackoffMs - exponential backoff after failed requests
+function createRateLimiter({
+  reserve = 0,
+  windowMs = 60 * 60 * 1000,
+  baseBackoffMs = 30 * 1000,
+  maxBackoffMs = 30 * 60 * 1000,
+  now = () => Date.now()
+} = {}) {
+  let limit = null; // Requests allowed per window, from X-Ratelimit-Limit
+  let remaining = null; // Requests left in window, from X-Ratelimit-Remaining
+  let failures = 0; // Consecutive failed requests
+  let retryAt = null; // No upstream requests before this timestamp
+
+  // Record the budget reported by an upstream response
+  function update(info) {
+    if (Number.isFinite(info.limit)) {
+      limit = info.limit;
+    }
+    if (Number.isFinite(info.remaining)) {
+      remaining = info.remaining;
+      if (remaining <= reserve) {
+        retryAt = Math.max(retryAt ?? 0, now() + windowMs);
+      }
+    }
+  }
+
+  // Throw RateLimitedError if upstream should not be called right now
+  function check() {
+    if (retryAt !== null && now() < retryAt) {
+      throw new RateLimitedError(retryAt);
+    }
+  }
+
+  function recordSuccess() {
+    failures = 0;
+    if (remaining === null || remaining > reserve) {
+      retryAt = null;
+    }
+  }
+
+  function recordFailure(error) {
+    failures++;
+    // 403/429 from Unsplash means the hourly quota is gone
+    if (error.status === 403 || error.status === 429) {
+      remaining = 0;
+      retryAt = now() + windowMs;
+      return;
+    }
+    const delay = Math.min(baseBackoffMs * 2 ** (failures - 1), maxBackoffMs);
+    retryAt = Math.max(retryAt ?? 0, now() + delay);
+  }
+
+  function snapshot() {
+    return { limit, remaining, failures, retryAt };
+  }
+
+  return { update, check, recordSuccess, recordFailure, snapshot };
+}
+
+module.exports = { createRateLimiter, RateLimitedError };
@@ -0,0 +1,51 @@
+// Wall-clock slot math
+// Cycles and slots are aligned to the Unix epoch, so every server and client
+// agrees on slot boundaries no matter when they fetched their photos.
+function createSchedule({ slotMinutes, slotsPerCycle }) {
+  const slotMs = slotMinutes * 60 * 1000;
+  const cycleMs = slotMs * slotsPerCycle;
+
+  // Start of the cycle containing a timestamp
+  function getCycleStart(time) {
+    return Math.floor(time / cycleMs) * cycleMs;
+  }
+
+  // Index of the slot containing a timestamp within its cycle
+  function getSlotIndex(time) {
+    return Math.floor((time - getCycleStart(time)) / slotMs);
+  }
+
+  // Slots of the given cycles that overlap [from, to)
+  // cycles: [{ start, photos }] with one photo per slot
+  function buildSlots(cycles, from, to) {
+    const slots = [];
+    for (const cycle of cycles) {
+      cycle.photos.slice(0, slotsPerCycle).forEach((photo, index) => {
+        const start = cycle.start + index * slotMs;
+        const end = start + slotMs;
+        if (end > from && start < to) {
+          slots.push({
+            index,
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            photo
+          });
+        }
+      });
+    }
+    return slots;
+  }
+
+  return { slotMinutes, slotsPerCycle, slotMs, cycleMs, getCycleStart, getSlotIndex, buildSlots };
+}
+
+// Parse a ?from= / ?to= value: epoch milliseconds or an ISO date string
+function parseTime(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : NaN;
+}
+
+module.exports = { createSchedule, parseTime };
@@ -0,0 +1,35 @@
+// Choices and limits shared by the server options and the CLI configuration
+
+// Playback modes: 'live' draws sets from the channel queue, 'favorites' from saved favorites
+const PLAYBACK_MODES = ['live', 'favorites'];
+
+// Effects screens use when switching photos
+const TRANSITIONS = ['fade', 'slide', 'kenburns'];
+
+// How each cycle's set is arranged by color:
+//   off     - photos in queue order
+//   order   - the set's photos ordered into a smooth hue and lightness progression
+//   palette - the most color-coherent set out of the next few sets' worth of queued photos, ordered
+const CURATIONS = ['off', 'order', 'palette'];
+
+// Unsplash returns at most 30 photos per request, so that caps both a batch and a cycle's set
+const MAX_PHOTOS_PER_REQUEST = 30;
+
+// Problems with a slot rhythm: each photo is shown for slotMinutes, and a new set of
+// cycleMinutes / slotMinutes photos starts every cycleMinutes. batchSize is optional.
+// Returns a list of messages, empty when the rhythm can be used
+function checkRhythm({ slotMinutes, cycleMinutes, batchSize }) {
+  if (!Number.isInteger(slotMinutes) || !Number.isInteger(cycleMinutes) || slotMinutes <= 0 || cycleMinutes % slotMinutes !== 0) {
+    return [`cycleMinutes (${cycleMinutes}) must be a whole multiple of slotMinutes (${slotMinutes})`];
+  }
+  const photosPerCycle = cycleMinutes / slotMinutes;
+  if (photosPerCycle > MAX_PHOTOS_PER_REQUEST) {
+    return [`A cycle can hold at most ${MAX_PHOTOS_PER_REQUEST} photos, got ${photosPerCycle} (cycleMinutes / slotMinutes)`];
+  }
+  if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < photosPerCycle || batchSize > MAX_PHOTOS_PER_REQUEST)) {
+    return [`batchSize must be a whole number from the photos per cycle (${photosPerCycle}) to ${MAX_PHOTOS_PER_REQUEST}, got ${batchSize}`];
+  }
+  return [];
+}
+
+module.exports = { PLAYBACK_MODES, TRANSITIONS, CURATIONS, MAX_PHOTOS_PER_REQUEST, checkRhythm };
@@ -0,0 +1,1390 @@
+const path = require('path');
+const express = require('express');
+const { createFileStore } = require('./storage');
+const { createProvider, LOCAL_PHOTOS_ROUTE, MOCK_PHOTOS_ROUTE } = require('./providers');
+const { loadChannels, normalizeChannels, DEFAULT_CHANNEL } = require('./channels');
+const { createLocalClock, findDaypart, applyDaypart, matchesColor } = require('./dayparts');
+const { orderByColor, pickCoherentSet, getPalette } = require('./color');
+const { createRateLimiter, RateLimitedError } = require('./rateLimiter');
+const { createImageCache, normalizeSize } = require('./imageCache');
+const { createSchedule, parseTime } = require('./schedule');
+const { filterHistory, paginateHistory, historyToCsv } = require('./history');
+const { createBlocklist, BLOCKLIST_TYPES } = require('./blocklist');
+const { withReferral, createDownloadTracker } = require('./attribution');
+const { createCors, requireToken } = require('./access');
+const { createMetrics, instrumentProvider } = require('./metrics');
+const { requestLogger } = require('./logging');
+const { createWalls, WALL_MODES } = require('./wall');
+const { PLAYBACK_MODES, TRANSITIONS, CURATIONS, MAX_PHOTOS_PER_REQUEST, checkRhythm } = require('./settings');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const CANDIDATE_SETS = 3; // Sets' worth of queued photos 'palette' curation picks the most coherent set from
+
+const MAX_FETCH_ATTEMPTS = 3; // Batches fetched in a row when filtering leaves too few photos
+const MAX_SKIPS_PER_SLOT = 3; // Skips are public, so each channel's are capped to protect the queue and upstream budget
+const MAX_WALL_SIZE = 100;
+
+// Create the photo API as an Express app, to listen on directly or mount inside another app
+// (urls.cached and the local photo route are relative to where it is mounted). Options:
+//   provider           - 'unsplash' (default), 'local', 'mock', or a provider object (see providers/index.js)
+//   providerOptions    - passed to a provider created by name: accessKey, baseUrl, directory, publicUrl, author
+//   fetch              - fetch function for Unsplash requests and image downloads (default: global fetch)
+//   clock              - () => epoch milliseconds; slots, cycles, expiry and timestamps all follow it
+//   store              - { load(), save(state) } for server state (default: a JSON file at storagePath)
+//   channels           - channel definitions as in channels.json (default: read from channelsPath)
+//   imageCacheDir      - where downloaded images are kept (default: next to storagePath, e.g. data/state-images
+//                        for data/state.json; required with a store but no storagePath)
+//   imageCacheMaxBytes - how much of them (default: 500 MB)
+//   orientation        - for channels that don't set their own (default: landscape)
+//   timeZone           - IANA time zone daypart hours are read in (default: the server's)
+//   slotMinutes, cycleMinutes - slot rhythm
+//   batchSize          - photos fetched per upstream request (default: 5/3 of a cycle, at most 30)
+//   historySize        - history items kept per channel (default: 10 days of slots)
+//   repeatWindowHours  - photos shown this recently aren't picked again (default: 48, 0 to only avoid the current sets)
+//   maxPerPhotographer - photos by one photographer allowed in a set (default: 2, 0 for no limit)
+//   rateLimitReserve   - upstream requests kept unused each hour
+//   playbackMode, transition - defaults screens can override per request
+//   curation           - 'off' (default), 'order' or 'palette': how sets are arranged by color
+//   appName, corsOrigins, adminToken, requestLog - as UNSPLASH_APP_NAME, CORS_ORIGINS, ADMIN_TOKEN and REQUEST_LOG
+// Returns { app, provider, channels, ready, close }; ready resolves once the image cache is loaded,
+// close() stops the slot timer
+function createSlideshowServer(options = {}) {
+  const {
+    provider: providerOption = 'unsplash',
+    providerOptions = {},
+    fetch = globalThis.fetch,
+    clock = () => Date.now(),
+    storagePath = path.join(ROOT_DIR, 'data', 'state.json'),
+    store = createFileStore(storagePath),
+    channelsPath = path.join(ROOT_DIR, 'channels.json'),
+    channels: channelDefinitions,
+    imageCacheDir = path.join(path.dirname(storagePath), `${path.parse(storagePath).name}-images`),
+    imageCacheMaxBytes = 500 * 1024 * 1024,
+    slotMinutes = 10,
+    cycleMinutes = 60,
+    orientation = 'landscape',
+    timeZone,
+    batchSize,
+    historySize,
+    repeatWindowHours = 48,
+    maxPerPhotographer = 2,
+    rateLimitReserve = 0,
+    playbackMode = 'live',
+    transition = 'fade',
+    curation = 'off',
+    appName = 'unsplash_slideshow',
+    corsOrigins = ['*'],
+    adminToken = '',
+    requestLog = true
+  } = options;
+
+  // Instances sharing an image cache would evict each other's files
+  if (options.store && !options.storagePath && !options.imageCacheDir) {
+    throw new Error('imageCacheDir is required when passing a store without a storagePath');
+  }
+
+  // Slot rhythm, checked as the CLI configuration is
+  const rhythmProblems = checkRhythm({ slotMinutes, cycleMinutes, batchSize });
+  if (rhythmProblems.length > 0) {
+    throw new Error(rhythmProblems.join('; '));
+  }
+  const PHOTOS_PER_CYCLE = cycleMinutes / slotMinutes;
+  const PHOTOS_PER_BATCH = batchSize ?? Math.min(MAX_PHOTOS_PER_REQUEST, Math.ceil(PHOTOS_PER_CYCLE * 5 / 3)); // 10 for 6 photos per cycle
+  const MAX_HISTORY_SIZE = historySize ?? Math.ceil(10 * 24 * 60 / slotMinutes); // 1440 photos = 10 days of 10-minute slots
+  if (!Number.isInteger(MAX_HISTORY_SIZE) || MAX_HISTORY_SIZE <= 0) {
+    throw new Error(`historySize must be a positive whole number, got ${historySize}`);
+  }
+  // Only history still kept can be checked, so the window is effectively capped by historySize
+  if (typeof repeatWindowHours !== 'number' || !(repeatWindowHours >= 0)) {
+    throw new Error(`repeatWindowHours must be a number of at least 0, got ${repeatWindowHours}`);
+  }
+  if (!Number.isInteger(maxPerPhotographer) || maxPerPhotographer < 0) {
+    throw new Error(`maxPerPhotographer must be a whole number of at least 0, got ${maxPerPhotographer}`);
+  }
+  const schedule = createSchedule({ slotMinutes, slotsPerCycle: PHOTOS_PER_CYCLE });
+
+  // playbackMode sets the default; clients can override it per request with ?mode=
+  if (!PLAYBACK_MODES.includes(playbackMode)) {
+    throw new Error(`playbackMode must be one of: ${PLAYBACK_MODES.join(', ')}`);
+  }
+  // A screen can override the transition with ?transition=
+  if (!TRANSITIONS.includes(transition)) {
+    throw new Error(`transition must be one of ${TRANSITIONS.join(', ')}, got "${transition}"`);
+  }
+  if (!CURATIONS.includes(curation)) {
+    throw new Error(`curation must be one of ${CURATIONS.join(', ')}, got "${curation}"`);
+  }
+
+  const app = express();
+  const requireAdmin = requireToken(adminToken);
+  const startedAt = clock();
+
+  // Prometheus metrics, served at /metrics
+  const metrics = createMetrics();
+  const httpRequests = metrics.counter('slideshow_http_requests_total', 'HTTP requests by method, route and status');
+  const httpDuration = metrics.histogram('slideshow_http_request_duration_seconds', 'HTTP request latency in seconds');
+
+  // One JSON log line per request; requestLog: false turns the lines off (metrics are kept)
+  app.use(requestLogger({
+    enabled: requestLog,
+    onFinish: ({ method, route, status, durationMs }) => {
+      httpRequests.inc({ method, route, status });
+      httpDuration.observe({ method, route }, durationMs / 1000);
+    }
+  }));
+
+  // Origins allowed to call the API from a browser ('*' allows any)
+  app.use(createCors(corsOrigins));
+
+  app.use(express.json());
+
+  // Upstream request budget; rateLimitReserve requests are kept unused each hour
+  const rateLimiter = createRateLimiter({ reserve: rateLimitReserve, now: clock });
+
+  const provider = instrumentProvider(typeof providerOption === 'string'
+    ? createProvider(providerOption, { ...providerOptions, fetch, onRateLimit: info => rateLimiter.update(info) })
+    : providerOption, metrics);
+
+  // Serve the image files themselves when showing a local folder
+  if (provider.name === 'local') {
+    app.use(LOCAL_PHOTOS_ROUTE, express.static(provider.directory));
+  }
+  // and the images the mock provider renders from its fixtures' colors; ?w= sets the width
+  if (provider.renderImage) {
+    app.get(`${MOCK_PHOTOS_ROUTE}/:id`, async (req, res) => {
+      const width = normalizeSize(req.query.w);
+      const image = await provider.renderImage(req.params.id, width ? { width } : {});
+      if (!image) {
+        return res.status(404).json({ error: 'Photo not found' });
+      }
+      res.set('Cache-Control', 'public, max-age=31536000, immutable').type('jpeg').send(image);
+    });
+  }
+
+  const channelConfigs = channelDefinitions ? normalizeChannels(channelDefinitions, { orientation }) : loadChannels(channelsPath, { orientation });
+
+  let getLocalTime;
+  try {
+    getLocalTime = createLocalClock(timeZone);
+  } catch {
+    throw new Error(`timeZone must be an IANA time zone such as Europe/Berlin, got "${timeZone}"`);
+  }
+
+  // Photo storage, one entry per channel:
+  //   currentPhotos      - one photo per slot of the current cycle
+  //   cycleStart         - wall-clock start of the cycle currentPhotos belong to
+  //   nextPhotos         - photos already assigned to the following cycle, if requested early
+  //   nextCycleStart     - wall-clock start of the cycle nextPhotos belong to
+  //   photoQueue         - queue of extra photos
+  //   daypartQueues      - separate queues for the channel's daypart rules, by rule name
+  //   lastFetchTimestamp - timestamp of last fetch
+  //   photoHistory       - history of photos (max MAX_HISTORY_SIZE)
+  //   historySeq         - sequence number of the latest history item, used as pagination cursor
+  const channels = {};
+  const refreshes = new Map(); // "<channel>:<cycle start>" -> in-flight set assignment
+  const skipCounts = new Map(); // channel -> { slot, count } skips in the current slot
+  let favorites = []; // Full photo objects saved by viewers, oldest first
+  let blocklist = createBlocklist(); // Photo IDs, usernames and keywords never to show
+  let downloadTracker = createTracker(); // Photos already reported to the provider as shown
+  let walls = createWalls({}, { now: clock }); // Screens registered at positions on a video wall, per channel
+  let slotTimer = null;
+
+  // Get (or create) the photo storage for a channel
+  function getChannelState(name) {
+    if (!channels[name]) {
+      channels[name] = {
+        currentPhotos: [],
+        cycleStart: null,
+        nextPhotos: [],
+        nextCycleStart: null,
+        photoQueue: [],
+        daypartQueues: {},
+        lastFetchTimestamp: null,
+        photoHistory: [],
+        historySeq: 0
+      };
+    }
+    return channels[name];
+  }
+
+  const storageErrors = metrics.counter('slideshow_storage_errors_total', 'Failed attempts to save state');
+  let storageStatus = { ok: true, savedAt: null, error: null }; // Outcome of the last save, for /health
+
+  // Downloaded image bytes, so screens keep working through upstream outages
+  const imageCache = createImageCache({
+    directory: imageCacheDir,
+    maxBytes: imageCacheMaxBytes,
+    isPinned: id => findPhoto(id) !== null,
+    fetch,
+    now: clock
+  });
+
+  // Download tracker for the configured provider; providers without tracking get a no-op
+  function createTracker(tracked = []) {
+    if (!provider.trackDownload) {
+      return { markActive: () => {}, toJSON: () => tracked };
+    }
+    return createDownloadTracker({ track: provider.trackDownload, tracked, onChange: persistState, check: rateLimiter.check, now: clock });
+  }
+
+  // The daypart rule of a channel in effect at a time, or null
+  function getDaypart(channelName, time) {
+    return findDaypart(channelConfigs[channelName].dayparts, getLocalTime(time));
+  }
+
+  // The queue photos for a daypart rule wait in; outside any rule, the channel's own queue
+  function getQueue(channel, daypart) {
+    return daypart ? (channel.daypartQueues[daypart.name] ??= []) : channel.photoQueue;
+  }
+
+  function setQueue(channel, daypart, photos) {
+    if (daypart) {
+      channel.daypartQueues[daypart.name] = photos;
+    } else {
+      channel.photoQueue = photos;
+    }
+  }
+
+  // Put photos assigned to a cycle back at the front of the queue they were taken from
+  function requeue(channelName, cycleStart, photos) {
+    if (photos.length > 0) {
+      getQueue(getChannelState(channelName), getDaypart(channelName, cycleStart)).unshift(...photos);
+    }
+  }
+
+  // Every queued photo of a channel, over all its dayparts
+  function getQueuedPhotos(channel) {
+    return [channel.photoQueue, ...Object.values(channel.daypartQueues)].flat();
+  }
+
+  // Current, upcoming and queued photos of a channel
+  function getChannelPhotos(channel) {
+    return [...channel.currentPhotos, ...channel.nextPhotos, ...getQueuedPhotos(channel)];
+  }
+
+  // Find a current, upcoming, queued or favorite photo by ID
+  function findPhoto(id) {
+    const favorite = favorites.find(p => p.id === id);
+    if (favorite) {
+      return favorite;
+    }
+    for (const channel of Object.values(channels)) {
+      const photo = getChannelPhotos(channel).find(p => p.id === id);
+      if (photo) {
+        return photo;
+      }
+    }
+    return null;
+  }
+
+  // Fetch a single photo from the provider, within the rate limit
+  async function fetchFromProvider(id) {
+    if (!provider.fetchPhoto) {
+      const error = new Error(`The ${provider.name} provider can't fetch photos by ID`);
+      error.status = 501;
+      throw error;
+    }
+    rateLimiter.check();
+    try {
+      const photo = await provider.fetchPhoto(id);
+      rateLimiter.recordSuccess();
+      return photo;
+    } catch (error) {
+      // An unknown ID says nothing about upstream health
+      if (error.status !== 404) {
+        rateLimiter.recordFailure(error);
+      }
+      throw error;
+    }
+  }
+
+  // Download a channel's current, upcoming and queued photos into the image cache, one at a time
+  async function cacheChannelImages(channel) {
+    for (const photo of getChannelPhotos(channel)) {
+      try {
+        await imageCache.ensureOriginal(photo);
+      } catch (error) {
+        console.error(`Error caching image ${photo.id}:`, error.message);
+      }
+    }
+  }
+
+  // Point the client at the server's cached copy of each photo
+  // urls.cached is relative to the API server and accepts ?w=&h=&fmt=
+  function withCachedUrls(photos) {
+    return photos.map(photo => ({
+      ...photo,
+      urls: { ...photo.urls, cached: `/api/image/${encodeURIComponent(photo.id)}` }
+    }));
+  }
+
+  // Restore photo storage saved by a previous run
+  function restoreState() {
+    const state = store.load();
+    if (!state) {
+      return;
+    }
+
+    favorites = state.favorites || [];
+    blocklist = createBlocklist(state.blocklist);
+    downloadTracker = createTracker(state.trackedDownloads);
+    walls = createWalls(state.walls, { now: clock });
+
+    // State files written before channels existed hold a single stream
+    const savedChannels = state.channels || { [DEFAULT_CHANNEL]: state };
+
+    for (const [name, saved] of Object.entries(savedChannels)) {
+      if (!channelConfigs[name]) {
+        console.warn(`Dropping saved state for removed channel "${name}"`);
+        continue;
+      }
+
+      const channel = getChannelState(name);
+      channel.currentPhotos = saved.currentPhotos || [];
+      channel.nextPhotos = saved.nextPhotos || [];
+      channel.nextCycleStart = saved.nextCycleStart ?? null;
+      channel.photoQueue = saved.photoQueue || [];
+      for (const [daypart, queue] of Object.entries(saved.daypartQueues || {})) {
+        if (channelConfigs[name].dayparts?.some(rule => rule.name === daypart)) {
+          channel.daypartQueues[daypart] = queue;
+        } else {
+          console.warn(`Dropping the queue of removed daypart "${daypart}" in channel "${name}"`);
+        }
+      }
+      channel.lastFetchTimestamp = saved.lastFetchTimestamp ?? null;
+      // State saved before wall-clock slots only knows when the set was fetched
+      channel.cycleStart = saved.cycleStart
+        ?? (channel.lastFetchTimestamp !== null ? schedule.getCycleStart(channel.lastFetchTimestamp) : null);
+      channel.photoHistory = (saved.photoHistory || []).slice(-MAX_HISTORY_SIZE);
+      channel.historySeq = saved.historySeq ?? 0;
+      // Number items saved before history had sequence numbers
+      channel.photoHistory.forEach(item => {
+        item.seq ??= ++channel.historySeq;
+      });
+      console.log(`Restored channel "${name}" (${getQueuedPhotos(channel).length} queued, ${channel.photoHistory.length} in history)`);
+    }
+  }
+
+  // Write current photo storage through to disk
+  function persistState() {
+    try {
+      store.save({
+        channels,
+        favorites,
+        blocklist: blocklist.toJSON(),
+        trackedDownloads: downloadTracker.toJSON(),
+        walls: walls.toJSON()
+      });
+      storageStatus = { ok: true, savedAt: new Date(clock()).toISOString(), error: null };
+    } catch (error) {
+      // Keep serving from memory; the next successful save catches up
+      console.error('Error saving state:', error);
+      storageErrors.inc();
+      storageStatus = { ...storageStatus, ok: false, error: error.message };
+    }
+  }
+
+  // Fetch photos for a channel from the configured provider, within the rate-limit budget
+  // A daypart rule's filters replace the channel's
+  async function fetchPhotosFromAPI(channelName, count, daypart = null) {
+    const { dayparts, ...filters } = channelConfigs[channelName];
+    rateLimiter.check();
+    try {
+      const photos = await provider.fetchPhotos({ count, ...applyDaypart(filters, daypart) });
+      rateLimiter.recordSuccess();
+      return photos;
+    } catch (error) {
+      rateLimiter.recordFailure(error);
+      throw error;
+    }
+  }
+
+  // Add photo to a channel's history; callers persist the state once they're done, not per photo
+  function addToHistory(channel, photo) {
+    const historyItem = {
+      seq: ++channel.historySeq,
+      id: photo.id,
+      name: photo.user?.name || 'Unknown',
+      description: photo.description || photo.alt_description || '',
+      link: withReferral(photo.links?.html || `https://unsplash.com/photos/${photo.id}`, appName),
+      userLink: withReferral(photo.user?.links?.html || `https://unsplash.com/@${photo.user?.username}`, appName),
+      // Enough for screens to show the photo again when browsing back through history
+      urls: { raw: photo.urls?.raw, regular: photo.urls?.regular, small: photo.urls?.small },
+      color: photo.color,
+      timestamp: new Date(clock()).toISOString()
+    };
+
+    channel.photoHistory.push(historyItem);
+
+    // Keep only last MAX_HISTORY_SIZE items
+    if (channel.photoHistory.length > MAX_HISTORY_SIZE) {
+      channel.photoHistory.shift();
+    }
+  }
+
+  // Photos a new set shouldn't repeat, by ID, with when each was last shown: everything shown
+  // within repeatWindowHours, and the channel's current and upcoming sets (as shown just now)
+  function getRecentlyShown(channel) {
+    const since = clock() - repeatWindowHours * 60 * 60 * 1000;
+    const shown = new Map();
+    if (repeatWindowHours > 0) {
+      channel.photoHistory
+        .filter(item => Date.parse(item.timestamp) >= since)
+        .forEach(item => shown.set(item.id, Date.parse(item.timestamp)));
+    }
+    [...channel.currentPhotos, ...channel.nextPhotos].forEach(photo => shown.set(photo.id, clock()));
+    return shown;
+  }
+
+  // Username and name together, as local photos share the username and differ by name
+  function getPhotographer(photo) {
+    return [photo.user?.username, photo.user?.name].filter(Boolean).join('/') || null;
+  }
+
+  // Whether a photo can join a set without going over maxPerPhotographer
+  function withinCap(set, photo) {
+    const photographer = getPhotographer(photo);
+    if (maxPerPhotographer === 0 || !photographer) {
+      return true;
+    }
+    return set.filter(other => getPhotographer(other) === photographer).length < maxPerPhotographer;
+  }
+
+  // Take new photos for a channel from the queue of a daypart rule (or its own), fetching more if needed
+  // Blocked photos, photos not in the rule's color, duplicates and recent repeats are dropped on the way,
+  // and no photographer gets more than maxPerPhotographer photos counting the alongside ones (the rest of
+  // the set). Queue photos are only consumed once enough are found, and fetched photos go back to the
+  // queue on failure, so nothing is lost. If fetching again still leaves too few, recent repeats fill
+  // the gap, those shown longest ago first; the alongside and exclude photos (e.g. a skipped one, or a
+  // set on screen at the same time) are never taken.
+  async function takePhotos(channelName, needed, daypart = null, { alongside = [], exclude = [] } = {}) {
+    const channel = getChannelState(channelName);
+    const recent = getRecentlyShown(channel);
+    const excluded = new Set([...alongside, ...exclude].map(photo => photo.id));
+    const seen = new Set();
+    setQueue(channel, daypart, getQueue(channel, daypart).filter(photo => {
+      const keep = !blocklist.isBlocked(photo) && !recent.has(photo.id) && !excluded.has(photo.id) && !seen.has(photo.id);
+      seen.add(photo.id);
+      return keep;
+    }));
+
+    // First, take from queue, in order, skipping photographers the set already has enough of
+    const photos = [];
+    const fits = photo => withinCap([...alongside, ...photos], photo);
+    for (const photo of getQueue(channel, daypart)) {
+      if (photos.length === needed) {
+        break;
+      }
+      if (fits(photo)) {
+        photos.push(photo);
+      }
+    }
+    const fromQueue = [...photos];
+    const extra = [];
+    const repeats = [];
+
+    try {
+      // If not enough, fetch from API - again if filtering leaves too few
+      for (let attempt = 1; photos.length < needed; attempt++) {
+        if (attempt > MAX_FETCH_ATTEMPTS) {
+          // Rather show a photographer again, or a recent photo, than nothing
+          const missing = needed - photos.length;
+          repeats.sort((a, b) => recent.get(a.id) - recent.get(b.id));
+          const fallback = [...extra, ...repeats].slice(0, missing);
+          if (fallback.length < missing) {
+            throw new Error(`Only found ${photos.length + fallback.length} of ${needed} photos after ${MAX_FETCH_ATTEMPTS} fetches`);
+          }
+          console.warn(`Channel "${channelName}": ${missing} photo(s) repeat a recent photo or photographer after ${MAX_FETCH_ATTEMPTS} fetches`);
+          photos.push(...fallback);
+          extra.splice(0, extra.length, ...extra.filter(photo => !fallback.includes(photo)));
+          break;
+        }
+
+        // Few random photos match a color filter, so those rules fetch as many as allowed
+        const fetchCount = daypart?.color ? MAX_PHOTOS_PER_REQUEST : PHOTOS_PER_BATCH;
+        const fetched = await fetchPhotosFromAPI(channelName, fetchCount, daypart);
+        channel.lastFetchTimestamp = clock();
+
+        // Take what we need, keep the rest for the queue
+        for (const photo of fetched) {
+          if (blocklist.isBlocked(photo) || (daypart?.color && !matchesColor(photo, daypart.color)) || excluded.has(photo.id) || seen.has(photo.id)) {
+            continue;
+          }
+          seen.add(photo.id);
+          if (recent.has(photo.id)) {
+            repeats.push(photo);
+          } else if (photos.length < needed && fits(photo)) {
+            photos.push(photo);
+          } else {
+            extra.push(photo);
+          }
+        }
+      }
+    } catch (error) {
+      getQueue(channel, daypart).push(...photos.filter(photo => !fromQueue.includes(photo)), ...extra);
+      throw error;
+    }
+
+    setQueue(channel, daypart, [...getQueue(channel, daypart).filter(photo => !fromQueue.includes(photo)), ...extra]);
+
+    return photos;
+  }
+
+  // Take a cycle's set, arranged by color as configured; exclude is a set shown right before it
+  async function takeSet(channelName, daypart, exclude = []) {
+    const photos = await takePhotos(channelName, PHOTOS_PER_CYCLE, daypart, { exclude });
+    if (curation === 'off') {
+      return photos;
+    }
+    if (curation === 'order') {
+      return orderByColor(photos);
+    }
+
+    // Widen the choice with photos waiting further back in the queue; the ones
+    // not chosen go back to the front, in their order
+    const channel = getChannelState(channelName);
+    const queue = getQueue(channel, daypart);
+    const waiting = PHOTOS_PER_CYCLE * (CANDIDATE_SETS - 1);
+    const candidates = [...photos, ...queue.slice(0, waiting)];
+    const chosen = pickCoherentSet(candidates, PHOTOS_PER_CYCLE, withinCap);
+    setQueue(channel, daypart, [...candidates.filter(photo => !chosen.includes(photo)), ...queue.slice(waiting)]);
+    return orderByColor(chosen);
+  }
+
+  // Replace the photo in one slot of a channel's current set with a new one
+  async function replaceCurrentPhoto(channelName, index) {
+    const channel = getChannelState(channelName);
+    const alongside = channel.currentPhotos.filter((photo, i) => i !== index);
+    const exclude = [channel.currentPhotos[index], ...channel.nextPhotos].filter(Boolean);
+    const [replacement] = await takePhotos(channelName, 1, getDaypart(channelName, channel.cycleStart), { alongside, exclude });
+    return putCurrentPhoto(channelName, index, replacement);
+  }
+
+  // Show a given photo in one slot of the current cycle
+  function putCurrentPhoto(channelName, index, replacement) {
+    const channel = getChannelState(channelName);
+
+    channel.currentPhotos = channel.currentPhotos.map((photo, i) => (i === index ? replacement : photo));
+    addToHistory(channel, replacement);
+    persistState();
+    cacheChannelImages(channel);
+    trackActiveSlots();
+
+    return replacement;
+  }
+
+  // Apply a new blocklist entry: purge queued and upcoming photos, and replace
+  // blocked photos in the rest of the current cycle
+  async function applyBlocklist() {
+    const now = clock();
+
+    for (const [channelName, channel] of Object.entries(channels)) {
+      channel.photoQueue = channel.photoQueue.filter(photo => !blocklist.isBlocked(photo));
+      for (const [name, queue] of Object.entries(channel.daypartQueues)) {
+        channel.daypartQueues[name] = queue.filter(photo => !blocklist.isBlocked(photo));
+      }
+      if (channel.nextPhotos.some(photo => blocklist.isBlocked(photo))) {
+        // The upcoming set is reassigned on the next request
+        requeue(channelName, channel.nextCycleStart, channel.nextPhotos.filter(photo => !blocklist.isBlocked(photo)));
+        channel.nextPhotos = [];
+        channel.nextCycleStart = null;
+      }
+
+      if (channel.cycleStart !== schedule.getCycleStart(now)) {
+        continue;
+      }
+      for (let index = schedule.getSlotIndex(now); index < channel.currentPhotos.length; index++) {
+        if (blocklist.isBlocked(channel.currentPhotos[index])) {
+          try {
+            await replaceCurrentPhoto(channelName, index);
+          } catch (error) {
+            console.error(`Error replacing blocked photo in channel "${channelName}":`, error.message);
+          }
+        }
+      }
+    }
+
+    persistState();
+  }
+
+  // Run a set assignment once per channel and cycle, sharing it with concurrent requests
+  function singleFlight(channelName, cycleStart, work) {
+    const key = `${channelName}:${cycleStart}`;
+    if (!refreshes.has(key)) {
+      refreshes.set(key, work().finally(() => refreshes.delete(key)));
+    }
+    return refreshes.get(key);
+  }
+
+  // Make the set for the cycle starting at cycleStart current, taken from the queue of the
+  // daypart rule in effect when the cycle starts
+  async function advanceCycle(channelName, cycleStart) {
+    const channel = getChannelState(channelName);
+    let photos;
+
+    if (channel.nextCycleStart === cycleStart && channel.nextPhotos.length > 0) {
+      // Already assigned by an early schedule request
+      photos = channel.nextPhotos;
+    } else {
+      // An upcoming set for a cycle that passed unseen goes back to the queue
+      requeue(channelName, channel.nextCycleStart, channel.nextPhotos);
+      channel.nextPhotos = [];
+      channel.nextCycleStart = null;
+      photos = await takeSet(channelName, getDaypart(channelName, cycleStart));
+    }
+
+    channel.nextPhotos = [];
+    channel.nextCycleStart = null;
+
+    // Add photos to history
+    photos.forEach(photo => addToHistory(channel, photo));
+
+    channel.currentPhotos = photos;
+    channel.cycleStart = cycleStart;
+    persistState();
+    cacheChannelImages(channel);
+    trackActiveSlots();
+
+    return photos;
+  }
+
+  // Ensure a channel has a photo for every slot of the current cycle
+  // Resolves to { photos, stale }; stale photos are the last good set, served while upstream fails
+  async function ensureCurrentPhotos(channelName) {
+    const channel = getChannelState(channelName);
+    const cycleStart = schedule.getCycleStart(clock());
+
+    if (channel.cycleStart === cycleStart) {
+      return { photos: channel.currentPhotos, stale: false };
+    }
+
+    try {
+      const photos = await singleFlight(channelName, cycleStart, () => advanceCycle(channelName, cycleStart));
+      return { photos, stale: false };
+    } catch (error) {
+      const fallback = channel.currentPhotos.length > 0
+        ? channel.currentPhotos
+        : getQueue(channel, getDaypart(channelName, cycleStart)).slice(0, PHOTOS_PER_CYCLE);
+
+      if (fallback.length === 0) {
+        throw error;
+      }
+
+      console.warn(`Serving stale photos for channel "${channelName}": ${error.message}`);
+      return { photos: fallback, stale: true };
+    }
+  }
+
+  // Ensure a channel has photos assigned to the cycle after the current one
+  // Resolves to the photos, or an empty array if they can't be fetched yet
+  async function ensureNextPhotos(channelName) {
+    const channel = getChannelState(channelName);
+    const nextCycleStart = channel.cycleStart + schedule.cycleMs;
+
+    if (channel.nextCycleStart === nextCycleStart && channel.nextPhotos.length > 0) {
+      return channel.nextPhotos;
+    }
+
+    try {
+      return await singleFlight(channelName, nextCycleStart, async () => {
+        requeue(channelName, channel.nextCycleStart, channel.nextPhotos);
+        channel.nextPhotos = [];
+        channel.nextCycleStart = null;
+        const photos = await takeSet(channelName, getDaypart(channelName, nextCycleStart), channel.currentPhotos);
+        channel.nextPhotos = photos;
+        channel.nextCycleStart = nextCycleStart;
+        persistState();
+        cacheChannelImages(channel);
+        return photos;
+      });
+    } catch (error) {
+      console.warn(`Can't assign upcoming photos for channel "${channelName}": ${error.message}`);
+      return [];
+    }
+  }
+
+  // Report the photo in each channel's active slot to the provider (once per photo)
+  function trackActiveSlots() {
+    const now = clock();
+    const cycleStart = schedule.getCycleStart(now);
+    const index = schedule.getSlotIndex(now);
+
+    for (const channel of Object.values(channels)) {
+      if (channel.cycleStart === cycleStart) {
+        downloadTracker.markActive(channel.currentPhotos[index]);
+      }
+    }
+  }
+
+  // Check for newly active slots at every slot boundary
+  function scheduleSlotTracking() {
+    const delay = schedule.slotMs - (clock() % schedule.slotMs) + 1000;
+    slotTimer = setTimeout(() => {
+      trackActiveSlots();
+      scheduleSlotTracking();
+    }, delay);
+    slotTimer.unref();
+  }
+
+  // Favorites shown in a cycle: a window that moves through the list one set per cycle,
+  // so every screen picks the same photos without any extra state
+  function getFavoritesSet(cycleStart) {
+    if (favorites.length === 0) {
+      return [];
+    }
+    const cycleIndex = Math.round(cycleStart / schedule.cycleMs);
+    const photos = [];
+    for (let i = 0; i < PHOTOS_PER_CYCLE; i++) {
+      photos.push(favorites[(cycleIndex * PHOTOS_PER_CYCLE + i) % favorites.length]);
+    }
+    return photos;
+  }
+
+  // Resolve ?mode= (or playbackMode) to a playback mode, or send 400
+  // Favorites mode falls back to live photos until something has been favorited
+  function resolvePlaybackMode(req, res) {
+    const mode = req.query.mode || playbackMode;
+    if (!PLAYBACK_MODES.includes(mode)) {
+      res.status(400).json({ error: 'Invalid mode', message: `mode must be one of: ${PLAYBACK_MODES.join(', ')}` });
+      return null;
+    }
+    return mode === 'favorites' && favorites.length === 0 ? 'live' : mode;
+  }
+
+  // Resolve ?channel= to a configured channel name, or send 404
+  function resolveChannel(req, res) {
+    const name = req.query.channel || DEFAULT_CHANNEL;
+    if (!channelConfigs[name]) {
+      res.status(404).json({ error: 'Unknown channel', channel: name });
+      return null;
+    }
+    return name;
+  }
+
+  // Wall screen from ?screen=<id>&row=&column=&wall=distinct|span, or null if invalid
+  function parseScreen(query) {
+    const row = Number(query.row ?? 0);
+    const column = Number(query.column ?? 0);
+    const mode = query.wall || 'distinct';
+    const valid = /^[\w-]{1,64}$/.test(query.screen)
+      && [row, column].every(value => Number.isInteger(value) && value >= 0 && value < MAX_WALL_SIZE)
+      && WALL_MODES.includes(mode);
+    return valid ? { id: query.screen, row, column, mode } : null;
+  }
+
+  // A set as seen by the screen at a given place on a wall, shifted so neighbours show different photos
+  function rotatePhotos(photos, offset) {
+    const shift = photos.length > 0 ? offset % photos.length : 0;
+    return [...photos.slice(shift), ...photos.slice(0, shift)];
+  }
+
+  // Main endpoint - returns { photos, stale, palette } with the photos for the current cycle (idempotent)
+  // palette is { colors, accent }: the photos' dominant colors in order, and a color for UI highlights
+  app.get('/api/photos', async (req, res) => {
+    const channelName = resolveChannel(req, res);
+    if (!channelName) {
+      return;
+    }
+
+    const mode = resolvePlaybackMode(req, res);
+    if (!mode) {
+      return;
+    }
+
+    if (mode === 'favorites') {
+      const now = clock();
+      const photos = getFavoritesSet(schedule.getCycleStart(now));
+      downloadTracker.markActive(photos[schedule.getSlotIndex(now)]);
+      return res.json({ photos: withCachedUrls(photos), stale: false, palette: getPalette(photos) });
+    }
+
+    try {
+      const { photos, stale } = await ensureCurrentPhotos(channelName);
+      res.json({ photos: withCachedUrls(photos), stale, palette: getPalette(photos) });
+    } catch (error) {
+      console.error(`Error fetching photos for channel "${channelName}":`, error);
+      if (error instanceof RateLimitedError) {
+        res.set('Retry-After', Math.ceil((error.retryAt - clock()) / 1000));
+        res.status(503);
+      } else {
+        res.status(500);
+      }
+      res.json({ error: 'Failed to fetch photos', message: error.message });
+    }
+  });
+
+  // Schedule endpoint - returns the photo for each wall-clock slot overlapping ?from=&to=
+  // from/to are epoch milliseconds or ISO dates; they default to now and the end of the current cycle.
+  // Slots before the current cycle aren't known, and the next cycle is included when requested.
+  app.get('/api/schedule', async (req, res) => {
+    const channelName = resolveChannel(req, res);
+    if (!channelName) {
+      return;
+    }
+
+    const now = clock();
+    const cycleStart = schedule.getCycleStart(now);
+    const from = parseTime(req.query.from) ?? now;
+    const to = parseTime(req.query.to) ?? cycleStart + schedule.cycleMs;
+
+    if (Number.isNaN(from) || Number.isNaN(to) || from >= to) {
+      return res.status(400).json({ error: 'Invalid time range', message: 'from and to must be times with from before to' });
+    }
+
+    const mode = resolvePlaybackMode(req, res);
+    if (!mode) {
+      return;
+    }
+
+    // Screens on a video wall register their place with every request
+    let wall = null;
+    if (req.query.screen !== undefined) {
+      const screen = parseScreen(req.query);
+      if (!screen) {
+        return res.status(400).json({
+          error: 'Invalid screen',
+          message: `screen must be up to 64 letters, digits, - or _; row and column whole numbers below ${MAX_WALL_SIZE}; wall one of: ${WALL_MODES.join(', ')}`
+        });
+      }
+      try {
+        if (walls.register(channelName, screen.id, screen)) {
+          persistState();
+        }
+      } catch (error) {
+        return res.status(error.status).json({ error: 'Wall is full', message: error.message });
+      }
+      wall = walls.getPosition(channelName, screen.id);
+    }
+
+    try {
+      const nextCycleStart = cycleStart + schedule.cycleMs;
+      let cycles;
+      let stale = false;
+
+      if (mode === 'favorites') {
+        cycles = [
+          { start: cycleStart, photos: getFavoritesSet(cycleStart) },
+          { start: nextCycleStart, photos: getFavoritesSet(nextCycleStart) }
+        ];
+        downloadTracker.markActive(cycles[0].photos[schedule.getSlotIndex(now)]);
+      } else {
+        const current = await ensureCurrentPhotos(channelName);
+        stale = current.stale;
+        // Stale photos stand in for the current cycle until a new set can be fetched
+        cycles = [{ start: cycleStart, photos: current.photos }];
+
+        if (to > nextCycleStart && !stale) {
+          const nextPhotos = await ensureNextPhotos(channelName);
+          cycles.push({ start: nextCycleStart, photos: nextPhotos });
+        }
+      }
+
+      if (wall?.mode === 'distinct') {
+        cycles = cycles.map(cycle => ({ ...cycle, photos: rotatePhotos(cycle.photos, wall.index) }));
+        downloadTracker.markActive(cycles[0].photos[schedule.getSlotIndex(now)]);
+      }
+
+      // Each slot carries its cycle's accent color, so the client's UI can follow the set
+      const accents = new Map(cycles.map(cycle => [cycle.start, getPalette(cycle.photos).accent]));
+      const slots = schedule.buildSlots(cycles, from, to).map(slot => ({
+        ...slot,
+        accent: accents.get(schedule.getCycleStart(Date.parse(slot.start))),
+        photo: withCachedUrls([slot.photo])[0]
+      }));
+
+      res.json({
+        channel: channelName,
+        mode,
+        slotMinutes: schedule.slotMinutes,
+        photosPerCycle: schedule.slotsPerCycle,
+        serverTime: new Date(now).toISOString(),
+        stale,
+        wall,
+        slots
+      });
+    } catch (error) {
+      console.error(`Error building schedule for channel "${channelName}":`, error);
+      res.status(error instanceof RateLimitedError ? 503 : 500).json({ error: 'Failed to fetch photos', message: error.message });
+    }
+  });
+
+  // Server clock, so clients can correct theirs and screens side by side switch photos together
+  app.get('/api/time', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({ serverTime: new Date(clock()).toISOString() });
+  });
+
+  // Screens registered on a channel's video wall, in reading order, with the grid size they cover
+  app.get('/api/wall', (req, res) => {
+    const channelName = resolveChannel(req, res);
+    if (!channelName) {
+      return;
+    }
+    res.json({ channel: channelName, ...walls.list(channelName) });
+  });
+
+  // Config endpoint - the slot rhythm clients compute slot index and progress from
+  app.get('/api/config', (req, res) => {
+    res.json({
+      slotMinutes,
+      cycleMinutes,
+      photosPerCycle: PHOTOS_PER_CYCLE,
+      historySize: MAX_HISTORY_SIZE,
+      appName,
+      transition
+    });
+  });
+
+  // Parse the ?from=&to=&q= history filters, or send 400
+  function parseHistoryFilters(req, res) {
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      res.status(400).json({ error: 'Invalid time range', message: 'from and to must be epoch milliseconds or ISO dates' });
+      return null;
+    }
+    return { from, to, q: String(req.query.q || '') };
+  }
+
+  // History endpoint - returns one page of history, newest first
+  // ?limit= page size (default 50), ?cursor= nextCursor of the previous page,
+  // ?from=&to= time range, ?q= search over photographer name and description
+  app.get('/api/history', (req, res) => {
+    const channelName = resolveChannel(req, res);
+    const filters = channelName && parseHistoryFilters(req, res);
+    if (!filters) {
+      return;
+    }
+
+    // Cursors are history sequence numbers; anything else would silently match nothing
+    if (req.query.cursor && !/^\d+$/.test(req.query.cursor)) {
+      return res.status(400).json({ error: 'Invalid cursor', message: 'cursor must be the nextCursor of a previous page' });
+    }
+
+    const matching = filterHistory(getChannelState(channelName).photoHistory, filters);
+    const { history, nextCursor } = paginateHistory(matching, req.query);
+    res.json({ history, nextCursor, total: matching.length });
+  });
+
+  // History export - every matching item in chronological order as ?format=csv or json (default)
+  app.get('/api/history/export', (req, res) => {
+    const channelName = resolveChannel(req, res);
+    const filters = channelName && parseHistoryFilters(req, res);
+    if (!filters) {
+      return;
+    }
+
+    const format = req.query.format || 'json';
+    if (format !== 'csv' && format !== 'json') {
+      return res.status(400).json({ error: 'Invalid format', message: 'format must be csv or json' });
+    }
+
+    const matching = filterHistory(getChannelState(channelName).photoHistory, filters);
+    const date = new Date(clock()).toISOString().slice(0, 10);
+    res.attachment(`history-${channelName}-${date}.${format}`);
+
+    if (format === 'csv') {
+      res.type('text/csv').send(historyToCsv(matching));
+    } else {
+      res.json({ channel: channelName, history: matching });
+    }
+  });
+
+  // Image endpoint - serves a cached photo, optionally resized (?w=&h=) and re-encoded (?fmt=jpeg|webp|avif|png)
+  app.get('/api/image/:id', async (req, res) => {
+    const { id } = req.params;
+    if (!/^[\w-]+$/.test(id)) {
+      return res.status(400).json({ error: 'Invalid photo ID' });
+    }
+
+    try {
+      const image = await imageCache.getImage(id, findPhoto(id), req.query);
+      if (!image) {
+        return res.status(404).json({ error: 'Photo not found' });
+      }
+      res.set('Content-Type', image.contentType);
+      res.set('Cache-Control', 'public, max-age=86400, immutable');
+      res.send(image.buffer);
+    } catch (error) {
+      console.error(`Error serving image ${id}:`, error);
+      res.status(502).json({ error: 'Failed to load image', message: error.message });
+    }
+  });
+
+  // Skip endpoint - replaces the current slot's photo for all clients
+  // A JSON body of { "block": true } also adds the skipped photo to the blocklist, which needs the admin token
+  app.post('/api/skip', (req, res, next) => (req.body?.block ? requireAdmin(req, res, next) : next()), async (req, res) => {
+    const channelName = resolveChannel(req, res);
+    if (!channelName) {
+      return;
+    }
+    // Favorites sets aren't the channel's; skipping would replace a photo no screen in this mode shows
+    const mode = resolvePlaybackMode(req, res);
+    if (!mode) {
+      return;
+    }
+    if (mode === 'favorites') {
+      return res.status(409).json({ error: 'Skipping is for live playback', message: "Favorites can't be skipped" });
+    }
+
+    const now = clock();
+    const slot = Math.floor(now / schedule.slotMs);
+    const skips = skipCounts.get(channelName)?.slot === slot ? skipCounts.get(channelName) : { slot, count: 0 };
+    if (skips.count >= MAX_SKIPS_PER_SLOT) {
+      res.set('Retry-After', Math.ceil(((slot + 1) * schedule.slotMs - now) / 1000));
+      return res.status(429).json({ error: 'Too many skips', message: `At most ${MAX_SKIPS_PER_SLOT} skips per slot` });
+    }
+    skips.count++;
+    skipCounts.set(channelName, skips);
+
+    try {
+      const { photos, stale } = await ensureCurrentPhotos(channelName);
+      if (stale) {
+        return res.status(503).json({ error: 'Photos are stale', message: "Can't skip until new photos can be fetched" });
+      }
+
+      const index = schedule.getSlotIndex(clock());
+      const skipped = photos[index];
+      const replacement = await replaceCurrentPhoto(channelName, index);
+
+      if (req.body?.block && skipped && blocklist.add('photo', skipped.id)) {
+        await applyBlocklist();
+      }
+      res.json({ skipped: skipped?.id ?? null, photo: withCachedUrls([replacement])[0] });
+    } catch (error) {
+      console.error(`Error skipping photo in channel "${channelName}":`, error);
+      res.status(error instanceof RateLimitedError ? 503 : 500).json({ error: 'Failed to skip photo', message: error.message });
+    }
+  });
+
+  // Blocklist endpoints - photo IDs, photographer usernames and description keywords never to show
+  app.get('/api/blocklist', (req, res) => {
+    res.json({ blocklist: blocklist.toJSON() });
+  });
+
+  // Adding and removing entries needs the admin token, like the admin API
+  // Body: { "type": "photo" | "user" | "keyword", "value": "..." }
+  app.post('/api/blocklist', requireAdmin, async (req, res) => {
+    const { type, value } = req.body || {};
+    if (!BLOCKLIST_TYPES.includes(type) || typeof value !== 'string' || !value.trim()) {
+      return res.status(400).json({ error: 'Invalid blocklist entry', message: `type must be one of: ${BLOCKLIST_TYPES.join(', ')}, and value a non-empty string` });
+    }
+
+    const added = blocklist.add(type, value);
+    if (added) {
+      await applyBlocklist();
+    }
+    res.status(added ? 201 : 200).json({ blocklist: blocklist.toJSON() });
+  });
+
+  app.delete('/api/blocklist/:type/:value', requireAdmin, (req, res) => {
+    const { type, value } = req.params;
+    if (!BLOCKLIST_TYPES.includes(type) || !blocklist.remove(type, value)) {
+      return res.status(404).json({ error: 'Blocklist entry not found' });
+    }
+
+    persistState();
+    res.json({ blocklist: blocklist.toJSON() });
+  });
+
+  // Favorites endpoints - list, add and remove saved photos
+  app.get('/api/favorites', (req, res) => {
+    // Newest first
+    res.json({ favorites: withCachedUrls([...favorites].reverse()) });
+  });
+
+  // Adds a current, upcoming or queued photo by ID; photos from a channel's history are fetched
+  // from the provider, so only real photos (and their image URLs) end up on screens
+  // Other IDs are refused, so anonymous requests can't spend the provider's quota on lookups
+  app.post('/api/favorites/:id', async (req, res) => {
+    const { id } = req.params;
+    const existing = favorites.find(p => p.id === id);
+    if (existing) {
+      return res.json({ favorite: existing });
+    }
+
+    let photo = findPhoto(id);
+    if (!photo) {
+      const shown = Object.values(channels).some(channel => channel.photoHistory.some(item => item.id === id));
+      if (!shown) {
+        return res.status(404).json({ error: 'Photo not found', message: 'Only photos that have been on screen can be favorited' });
+      }
+      try {
+        photo = await fetchFromProvider(id);
+      } catch (error) {
+        let status = error instanceof RateLimitedError ? 503 : 502;
+        if (error.status === 404 || error.status === 501) {
+          status = error.status;
+        }
+        return res.status(status).json({ error: status === 404 ? 'Photo not found' : 'Failed to fetch photo', message: error.message });
+      }
+    }
+
+    // Drop URLs only meaningful in API responses
+    const { cached, ...urls } = photo.urls || {};
+    const favorite = { ...photo, urls, favorited_at: new Date(clock()).toISOString() };
+    favorites.push(favorite);
+    persistState();
+    imageCache.ensureOriginal(favorite).catch(error => {
+      console.error(`Error caching image ${id}:`, error.message);
+    });
+
+    res.status(201).json({ favorite });
+  });
+
+  app.delete('/api/favorites/:id', (req, res) => {
+    const index = favorites.findIndex(p => p.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+
+    favorites.splice(index, 1);
+    persistState();
+    res.status(204).end();
+  });
+
+  // Channels endpoint - lists configured channel names and their filters
+  app.get('/api/channels', (req, res) => {
+    res.json({ channels: channelConfigs });
+  });
+
+  // Admin API - needs "Authorization: Bearer <adminToken>"; disabled without adminToken
+  app.use('/api/admin', requireAdmin);
+
+  // Short description of a photo for admin listings
+  function summarizePhoto(photo) {
+    return {
+      id: photo.id,
+      description: photo.description || photo.alt_description || '',
+      user: photo.user?.username || photo.user?.name || null,
+      color: photo.color || null
+    };
+  }
+
+  // Resolve ?daypart= to { daypart } for the queue endpoints, or send 404
+  // Without it they work on the channel's own queue
+  function resolveQueueDaypart(req, res, channelName) {
+    if (req.query.daypart === undefined) {
+      return { daypart: null };
+    }
+    const daypart = channelConfigs[channelName].dayparts?.find(rule => rule.name === req.query.daypart);
+    if (!daypart) {
+      res.status(404).json({ error: 'Unknown daypart', channel: channelName, daypart: req.query.daypart });
+      return null;
+    }
+    return { daypart };
+  }
+
+  // A single photo for pinning: taken out of the queue if it's waiting there, otherwise fetched
+  async function fetchPhotoById(channelName, id) {
+    const channel = getChannelState(channelName);
+    for (const queue of [channel.photoQueue, ...Object.values(channel.daypartQueues)]) {
+      const queued = queue.findIndex(photo => photo.id === id);
+      if (queued !== -1) {
+        return queue.splice(queued, 1)[0];
+      }
+    }
+
+    return fetchFromProvider(id);
+  }
+
+  // Channel state: current and upcoming sets, queues, the daypart rule in effect and when photos were last fetched
+  app.get('/api/admin/status', (req, res) => {
+    const channelName = resolveChannel(req, res);
+    if (!channelName) {
+      return;
+    }
+
+    const channel = getChannelState(channelName);
+    res.json({
+      channel: channelName,
+      lastFetchTimestamp: channel.lastFetchTimestamp,
+      cycleStart: channel.cycleStart ? new Date(channel.cycleStart).toISOString() : null,
+      currentPhotos: channel.currentPhotos.map(summarizePhoto),
+      nextCycleStart: channel.nextCycleStart ? new Date(channel.nextCycleStart).toISOString() : null,
+      nextPhotos: channel.nextPhotos.map(summarizePhoto),
+      daypart: getDaypart(channelName, clock())?.name ?? null,
+      queueLength: channel.photoQueue.length,
+      daypartQueueLengths: Object.fromEntries(Object.entries(channel.daypartQueues).map(([name, queue]) => [name, queue.length])),
+      rateLimit: rateLimiter.snapshot()
+    });
+  });
+
+  // Replace the current cycle's set right away
+  app.post('/api/admin/refresh', async (req, res) => {
+    const channelName = resolveChannel(req, res);
+    if (!channelName) {
+      return;
+    }
+
+    const cycleStart = schedule.getCycleStart(clock());
+    try {
+      const photos = await singleFlight(channelName, cycleStart, () => advanceCycle(channelName, cycleStart));
+      res.json({ photos: withCachedUrls(photos) });
+    } catch (error) {
+      console.error(`Error refreshing channel "${channelName}":`, error);
+      res.status(error instanceof RateLimitedError ? 503 : 500).json({ error: 'Failed to refresh photos', message: error.message });
+    }
+  });
+
+  // Queue endpoints take ?daypart=<rule name> to work on that rule's queue
+  app.get('/api/admin/queue', (req, res) => {
+    const channelName = resolveChannel(req, res);
+    const selected = channelName && resolveQueueDaypart(req, res, channelName);
+    if (!selected) {
+      return;
+    }
+    res.json({ queue: getQueue(getChannelState(channelName), selected.daypart).map(summarizePhoto) });
+  });
+
+  // Reorder the queue. Body: { "ids": [...] } - these photos move to the front in that order
+  app.put('/api/admin/queue', (req, res) => {
+    const channelName = resolveChannel(req, res);
+    const selected = channelName && resolveQueueDaypart(req, res, channelName);
+    if (!selected) {
+      return;
+    }
+
+    const channel = getChannelState(channelName);
+    const queue = getQueue(channel, selected.daypart);
+    const ids = req.body?.ids;
+    if (!Array.isArray(ids) || new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: 'Invalid queue order', message: 'ids must be an array of distinct photo IDs' });
+    }
+    const unknown = ids.filter(id => !queue.some(photo => photo.id === id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Invalid queue order', message: `Not in the queue: ${unknown.join(', ')}` });
+    }
+
+    const first = ids.map(id => queue.find(photo => photo.id === id));
+    setQueue(channel, selected.daypart, [...first, ...queue.filter(photo => !ids.includes(photo.id))]);
+    persistState();
+    res.json({ queue: getQueue(channel, selected.daypart).map(summarizePhoto) });
+  });
+
+  app.delete('/api/admin/queue', (req, res) => {
+    const channelName = resolveChannel(req, res);
+    const selected = channelName && resolveQueueDaypart(req, res, channelName);
+    if (!selected) {
+      return;
+    }
+
+    const channel = getChannelState(channelName);
+    const flushed = getQueue(channel, selected.daypart).length;
+    setQueue(channel, selected.daypart, []);
+    persistState();
+    res.json({ flushed });
+  });
+
+  // Show a specific photo in a slot of the current cycle
+  // Body: { "id": "<photo ID>", "slot": <index in the cycle, defaults to the current slot> }
+  app.post('/api/admin/pin', async (req, res) => {
+    const channelName = resolveChannel(req, res);
+    if (!channelName) {
+      return;
+    }
+
+    const { id, slot = schedule.getSlotIndex(clock()) } = req.body || {};
+    if (typeof id !== 'string' || !id.trim()) {
+      return res.status(400).json({ error: 'Invalid photo ID', message: 'id must be a non-empty string' });
+    }
+    if (!Number.isInteger(slot) || slot < 0 || slot >= PHOTOS_PER_CYCLE) {
+      return res.status(400).json({ error: 'Invalid slot', message: `slot must be an integer from 0 to ${PHOTOS_PER_CYCLE - 1}` });
+    }
+
+    try {
+      const { stale } = await ensureCurrentPhotos(channelName);
+      if (stale) {
+        return res.status(503).json({ error: 'Photos are stale', message: "Can't pin until new photos can be fetched" });
+      }
+
+      const photo = await fetchPhotoById(channelName, id.trim());
+      putCurrentPhoto(channelName, slot, photo);
+      res.json({ slot, photo: withCachedUrls([photo])[0] });
+    } catch (error) {
+      console.error(`Error pinning photo ${id} in channel "${channelName}":`, error);
+      let status = error instanceof RateLimitedError ? 503 : 502;
+      if (error.status === 404 || error.status === 501) {
+        status = error.status;
+      }
+      res.status(status).json({ error: 'Failed to pin photo', message: error.message });
+    }
+  });
+
+  // Take a screen off a channel's wall, e.g. after moving it elsewhere
+  app.delete('/api/admin/wall/:screen', (req, res) => {
+    const channelName = resolveChannel(req, res);
+    if (!channelName) {
+      return;
+    }
+    if (!walls.remove(channelName, req.params.screen)) {
+      return res.status(404).json({ error: 'Unknown screen', screen: req.params.screen });
+    }
+    persistState();
+    res.status(204).end();
+  });
+
+  // Values read on every scrape of /metrics
+  const channelValues = read => () => Object.entries(channels).map(([name, channel]) => [{ channel: name }, read(channel)]);
+  metrics.gauge('slideshow_rate_limit_remaining', 'Upstream requests left this hour, as last reported by the provider',
+    () => [[{}, rateLimiter.snapshot().remaining]]);
+  metrics.gauge('slideshow_rate_limit_limit', 'Upstream requests allowed per hour', () => [[{}, rateLimiter.snapshot().limit]]);
+  metrics.gauge('slideshow_upstream_consecutive_failures', 'Upstream failures since the last success',
+    () => [[{}, rateLimiter.snapshot().failures]]);
+  metrics.gauge('slideshow_queue_depth', 'Photos waiting in the queue', channelValues(channel => getQueuedPhotos(channel).length));
+  metrics.gauge('slideshow_current_set_age_seconds', 'Time since the current set started; above a cycle length means it is stale',
+    channelValues(channel => (channel.cycleStart ? (clock() - channel.cycleStart) / 1000 : null)));
+  metrics.gauge('slideshow_history_size', 'Photos in history', channelValues(channel => channel.photoHistory.length));
+  metrics.gauge('slideshow_image_cache_bytes', 'Size of the image cache on disk', () => [[{}, imageCache.stats().bytes]]);
+
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  // Upstream health from the rate limiter: failing after errors, limited while the hourly budget is spent
+  function getUpstreamHealth() {
+    const { limit, remaining, failures, retryAt } = rateLimiter.snapshot();
+    let status = 'ok';
+    if (failures > 0) {
+      status = 'failing';
+    } else if (retryAt !== null && retryAt > clock()) {
+      status = 'limited';
+    }
+    return { status, provider: provider.name, failures, limit, remaining, retryAt: retryAt && new Date(retryAt).toISOString() };
+  }
+
+  // Health check endpoint - 503 while upstream or storage is failing, so monitoring can alert
+  // before screens run out of photos
+  app.get('/health', (req, res) => {
+    const upstream = getUpstreamHealth();
+    const storage = { status: storageStatus.ok ? 'ok' : 'failing', path: store.filePath ?? null, savedAt: storageStatus.savedAt, error: storageStatus.error };
+    const ok = upstream.status === 'ok' && storage.status === 'ok';
+    res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'degraded', uptime: Math.round((clock() - startedAt) / 1000), upstream, storage });
+  });
+
+  // Readiness - every channel can serve a set, from memory or a working upstream
+  app.get('/ready', (req, res) => {
+    const upstreamUp = getUpstreamHealth().status === 'ok';
+    const notReady = Object.keys(channelConfigs).filter(name => {
+      const channel = getChannelState(name);
+      const queue = getQueue(channel, getDaypart(name, clock()));
+      return !upstreamUp && channel.currentPhotos.length === 0 && queue.length < PHOTOS_PER_CYCLE;
+    });
+    res.status(notReady.length === 0 ? 200 : 503).json({ ready: notReady.length === 0, notReady });
+  });
+
+  restoreState();
+  const ready = imageCache.init()
+    .then(() => Object.values(channels).forEach(cacheChannelImages))
+    .catch(error => console.error('Error initializing image cache:', error));
+  scheduleSlotTracking();
+
+  function close() {
+    clearTimeout(slotTimer);
+  }
+
+  return { app, provider, channels: channelConfigs, ready, close };
+}
+
+module.exports = { createSlideshowServer };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file store for server state.
+// Each save writes to a temp file and renames it into place, so a crash
+// mid-write never leaves a truncated state file behind.
+function createFileStore(filePath) {
+  // Read saved state, or null if nothing has been saved yet
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to read state from ${filePath}:`, error);
+      }
+      return null;
+    }
+  }
+
+  // Replace saved state with a new snapshot
+  function save(state) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  return { filePath, load, save };
+}
+
+// In-memory store, for servers that shouldn't touch the disk (tests, throwaway instances)
+function createMemoryStore(initial = null) {
+  let saved = structuredClone(initial);
+
+  return {
+    filePath: null,
+    load: () => structuredClone(saved),
+    save: state => {
+      saved = structuredClone(state);
+    }
+  };
+}
+
+module.exports = { createFileStore, createMemoryStore };
@@ -0,0 +1,78 @@
+// Video walls: screens of a channel registered at a grid position
+//   distinct - each screen shows a different photo of the set
+//   span     - one photo spans the whole wall, each screen shows its tile
+const WALL_MODES = ['distinct', 'span'];
+
+// saved: { [channel]: { [screenId]: { row, column, mode, lastSeen } } } from a previous run
+// now() gives the time screens are last seen at
+// Screens re-register with every schedule request (at least once a minute), so one not seen for
+// screenTimeoutMs is left off the wall and dropped at the next registration; a channel holds at most
+// maxScreens of them
+function createWalls(saved = {}, { now = () => Date.now(), screenTimeoutMs = 5 * 60 * 1000, maxScreens = 50 } = {}) {
+  const walls = structuredClone(saved);
+
+  const isActive = screen => Date.parse(screen.lastSeen) >= now() - screenTimeoutMs;
+
+  // Add or move a screen; returns false if nothing worth saving changed
+  // Throws an error with status 429 if the channel already has maxScreens screens
+  function register(channel, id, { row, column, mode }) {
+    walls[channel] = walls[channel] || {};
+    let pruned = false;
+    for (const [otherId, screen] of Object.entries(walls[channel])) {
+      if (otherId !== id && !isActive(screen)) {
+        delete walls[channel][otherId];
+        pruned = true;
+      }
+    }
+
+    const previous = walls[channel][id];
+    if (!previous && Object.keys(walls[channel]).length >= maxScreens) {
+      const error = new Error(`A wall can hold at most ${maxScreens} screens`);
+      error.status = 429;
+      throw error;
+    }
+    walls[channel][id] = { row, column, mode, lastSeen: new Date(now()).toISOString() };
+    return pruned || !previous || previous.row !== row || previous.column !== column || previous.mode !== mode;
+  }
+
+  // Returns false if there was no such screen
+  function remove(channel, id) {
+    if (!walls[channel]?.[id]) {
+      return false;
+    }
+    delete walls[channel][id];
+    return true;
+  }
+
+  // Active screens of a channel in reading order (row by row), with the size of the grid they cover
+  function list(channel) {
+    const screens = Object.entries(walls[channel] || {})
+      .filter(([, screen]) => isActive(screen))
+      .map(([id, screen]) => ({ id, ...screen }))
+      .sort((a, b) => a.row - b.row || a.column - b.column || a.id.localeCompare(b.id));
+    return {
+      rows: Math.max(0, ...screens.map(screen => screen.row + 1)),
+      columns: Math.max(0, ...screens.map(screen => screen.column + 1)),
+      screens
+    };
+  }
+
+  // index is the screen's place in reading order, used to hand out distinct photos
+  function getPosition(channel, id) {
+    const { rows, columns, screens } = list(channel);
+    const index = screens.findIndex(screen => screen.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const { row, column, mode } = screens[index];
+    return { id, mode, row, column, rows, columns, index, count: screens.length };
+  }
+
+  function toJSON() {
+    return walls;
+  }
+
+  return { register, remove, list, getPosition, toJSON };
+}
+
+module.exports = { createWalls, WALL_MODES };
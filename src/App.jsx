@@ -1,97 +1,633 @@
 import React, { useEffect, useState, useRef } from 'react'
-import { Box, Image, Text, Spinner, Center, VStack, HStack, Spacer, Progress, Link, Button, Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, ModalCloseButton, useDisclosure, IconButton, Table, Thead, Tbody, Tr, Th, Td, TableContainer } from '@chakra-ui/react'
+import { Box, Text, Spinner, Center, VStack, HStack, Spacer, Link, Button, Input, Modal, ModalOverlay, ModalContent, ModalHeader, ModalBody, ModalCloseButton, useDisclosure, IconButton, Table, Thead, Tbody, Tr, Th, Td, TableContainer } from '@chakra-ui/react'
+import { loadOffline, saveOffline } from './offlineStore'
+import PhotoLayers, { TRANSITIONS } from './PhotoLayers'
+import SettingsPanel from './SettingsPanel'
+import Clock from './Clock'
+import { loadSettings, saveSettings, CLOCK_SIZES } from './settings'
 
-const PHOTOS_PER_HOUR = 6
+// Settings are read once; saving them from the panel reloads the page
+const SETTINGS = loadSettings()
+const API_URL = SETTINGS.apiUrl
 
-const API_URL = 'https://unsplash-slideshow.onrender.com'
+// Channel and playback mode, e.g. ?channel=nature or ?mode=favorites
+const CHANNEL = SETTINGS.channel || 'default'
+const CHANNEL_QUERY = '?channel=' + encodeURIComponent(CHANNEL)
+const MODE_QUERY = SETTINGS.mode ? '&mode=' + encodeURIComponent(SETTINGS.mode) : ''
+
+// fade, slide or kenburns overrides the server's default effect for this screen
+const TRANSITION_OVERRIDE = TRANSITIONS.includes(SETTINGS.transition) ? SETTINGS.transition : null
+
+// With auto-hide on, control buttons hide after this long without mouse or touch input
+const CONTROLS_HIDE_MS = 5000
+
+// Screens on a video wall tell the server where they are with every schedule request
+const WALL_QUERY = SETTINGS.screenId
+  ? `&screen=${encodeURIComponent(SETTINGS.screenId)}&wall=${SETTINGS.wallMode}&row=${SETTINGS.wallRow}&column=${SETTINGS.wallColumn}`
+  : ''
+
+// IndexedDB keys for the offline copy of this screen's schedule and the server config
+const OFFLINE_SCHEDULE_KEY = `schedule:${API_URL}:${CHANNEL}:${SETTINGS.mode}:${SETTINGS.screenId}`
+const OFFLINE_WALL_KEY = `wall:${API_URL}:${CHANNEL}:${SETTINGS.screenId}`
+const OFFLINE_CONFIG_KEY = 'config'
+
+// Offset of the server's clock from this device's, so screens side by side switch photos together
+const CLOCK_SYNC_SAMPLES = 5
+const CLOCK_SYNC_MS = 15 * 60 * 1000
+let clockOffset = 0
+const getNow = () => Date.now() + clockOffset
+
+// Estimate the offset from a few round trips to /api/time, trusting the quickest
+const syncClock = async () => {
+  let best = null
+  try {
+    for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) {
+      const sent = Date.now()
+      const response = await fetch(`${API_URL}/api/time`, { cache: 'no-store' })
+      const received = Date.now()
+      if (!response.ok) {
+        throw new Error(`Failed to fetch server time: ${response.status}`)
+      }
+      const serverTime = Date.parse((await response.json()).serverTime)
+      if (!best || received - sent < best.roundTrip) {
+        best = { roundTrip: received - sent, offset: serverTime - (sent + received) / 2 }
+      }
+    }
+  } catch (err) {
+    console.error('Error syncing clock:', err)
+  }
+  if (best) {
+    clockOffset = best.offset
+  }
+}
+
+// Screen size in device pixels, rounded up to 100px steps so small resizes reuse the same URLs.
+// The pixel ratio is capped at 2: denser screens can't show the difference at viewing distance.
+const SIZE_STEP = 100
+const MAX_DPR = 2
+const getViewport = () => ({
+  width: Math.ceil(window.innerWidth / SIZE_STEP) * SIZE_STEP,
+  height: Math.ceil(window.innerHeight / SIZE_STEP) * SIZE_STEP,
+  dpr: Math.min(Math.ceil(window.devicePixelRatio || 1), MAX_DPR)
+})
+
+// Smallest AVIF image; browsers that can decode it get AVIF, the rest WebP
+const AVIF_PROBE = 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A='
+let imageFormat = 'webp'
+const detectImageFormat = () => {
+  const image = new window.Image()
+  image.src = AVIF_PROBE
+  return image.decode().then(() => { imageFormat = 'avif' }, () => {})
+}
+
+// Ask for a copy sized to the screen: the server's cache if it has one, otherwise Unsplash's
+// imgix resizing of the original. Anything else (e.g. local photos) is used as is.
+const getImageSrc = (photo, viewport = getViewport()) => {
+  const { width, height, dpr } = viewport
+  if (photo.urls.cached) {
+    return `${API_URL}${photo.urls.cached}?w=${width * dpr}&h=${height * dpr}&fmt=${imageFormat}`
+  }
+  if (!photo.urls.raw) {
+    return photo.urls.full || photo.urls.regular
+  }
+  const url = new URL(photo.urls.raw)
+  if (url.hostname.endsWith('unsplash.com')) {
+    url.searchParams.set('w', width)
+    url.searchParams.set('h', height)
+    url.searchParams.set('dpr', dpr)
+    url.searchParams.set('fit', 'crop')
+    url.searchParams.set('q', 75)
+    url.searchParams.set('fm', imageFormat)
+  }
+  return url.toString()
+}
+
+// Shown while the full-size photo loads
+const getPlaceholder = (photo) => ({ src: photo.urls.small || photo.urls.thumb, color: photo.color })
+
+// Slot rhythm used until the server's /api/config arrives
+const DEFAULT_CONFIG = { slotMinutes: 10, cycleMinutes: 60, photosPerCycle: 6, appName: 'unsplash_slideshow', transition: 'fade' }
+
+// Unsplash requires referral parameters on attribution links; other hosts are left alone
+const withReferral = (url, appName) => {
+  try {
+    const link = new URL(url)
+    if (link.hostname !== 'unsplash.com' && !link.hostname.endsWith('.unsplash.com')) {
+      return url
+    }
+    link.searchParams.set('utm_source', appName)
+    link.searchParams.set('utm_medium', 'referral')
+    return link.toString()
+  } catch {
+    return url
+  }
+}
+
+// How far ahead to ask the server for slots, and when to ask again
+const SCHEDULE_AHEAD_MS = 60 * 60 * 1000
+const REFRESH_MARGIN_MS = 5 * 60 * 1000 // Refetch 5 minutes before the schedule runs out
+const RETRY_MS = 30 * 1000
+const POLL_MS = 60 * 1000 // Pick up photos skipped from other screens within a minute
+const STALE_RETRY_MS = 5 * 60 * 1000
+const PREFETCH_LEAD_MS = 5 * 60 * 1000 // Fetch and preload the next cycle's set 5 minutes before it starts
+
+// Keep slots from an earlier fetch that extend past the end of a newer one
+const mergeSlots = (previous, fetched) => {
+  const fetchedEnd = fetched.length > 0 ? fetched[fetched.length - 1].end : 0
+  return [...fetched, ...previous.filter(slot => slot.start >= fetchedEnd)]
+}
+
+// Start downloading a photo so it's in the browser/service worker cache before its slot
+const preloadImage = (photo) => {
+  const image = new window.Image()
+  image.crossOrigin = 'anonymous' // Same request mode as PhotoLayers, so the cached copy is reused
+  image.src = getImageSrc(photo)
+}
+
+const HISTORY_PAGE_SIZE = 50
+const HISTORY_SEARCH_DELAY_MS = 300
+const RESIZE_DELAY_MS = 500
+
+// Manual navigation falls back to the live photo after this long without input
+const BROWSE_TIMEOUT_MS = 2 * 60 * 1000
+const PAUSE_TIMEOUT_MS = 30 * 60 * 1000
+const BROWSE_PAGE_SIZE = 100
+
+// Keyboard and TV-remote keys
+const PREVIOUS_KEYS = ['ArrowLeft', 'MediaTrackPrevious', 'MediaRewind']
+const NEXT_KEYS = ['ArrowRight', 'MediaTrackNext', 'MediaFastForward']
+const PAUSE_KEYS = [' ', 'MediaPlayPause', 'Pause', 'Play']
+const LIVE_KEYS = ['l', 'L']
+const SETTINGS_KEYS = ['s', 'S']
+
+// History entries only carry what's needed to show them again; give them the shape of a photo
+const historyToPhoto = (item) => ({
+  id: item.id,
+  urls: item.urls,
+  color: item.color,
+  description: item.description,
+  links: { html: item.link },
+  user: { name: item.name, links: { html: item.userLink } }
+})
+
+// Navigation state in the URL hash, e.g. #photo=abc123&paused, so a view can be shared
+const parseHash = () => {
+  const params = new URLSearchParams(window.location.hash.slice(1))
+  return params.get('photo') ? { id: params.get('photo'), paused: params.has('paused') } : null
+}
+
+const writeHash = (navigation) => {
+  const hash = navigation ? `#photo=${encodeURIComponent(navigation.photo.id)}${navigation.paused ? '&paused' : ''}` : ''
+  window.history.replaceState(null, '', window.location.pathname + window.location.search + hash)
+}
 
 function App() {
-  const [photos, setPhotos] = useState([])
+  const [config, setConfig] = useState(DEFAULT_CONFIG)
+  const [slots, setSlots] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [currentTime, setCurrentTime] = useState(new Date())
-  const [currentHour, setCurrentHour] = useState(-1)
-  const lastFetchedHour = useRef(-1)
+  const [offline, setOffline] = useState(false)
+  const [currentTime, setCurrentTime] = useState(() => new Date(getNow()))
+  const fetchingRef = useRef(false)
+  const refreshAtRef = useRef(0)
+  const slotsRef = useRef([])
+  const configRef = useRef(DEFAULT_CONFIG)
+  const prefetchedCycleRef = useRef(null)
   const [clockOpacity, setClockOpacity] = useState(1)
   const [history, setHistory] = useState([])
+  const [historyCursor, setHistoryCursor] = useState(null)
+  const [historyTotal, setHistoryTotal] = useState(0)
+  const [historySearch, setHistorySearch] = useState('')
+  const [historyLoading, setHistoryLoading] = useState(false)
+  const [favoriteIds, setFavoriteIds] = useState(new Set())
+  const [viewport, setViewport] = useState(getViewport)
+  const [wall, setWall] = useState(null) // This screen's place on a video wall, from the server
+  const [playbackMode, setPlaybackMode] = useState(SETTINGS.mode || 'live') // What the server plays here; favorites can't be skipped
+  const [navigation, setNavigation] = useState(null) // null while live, else { photo, paused }
+  const [olderHistory, setOlderHistory] = useState([]) // Photos shown before this cycle, oldest first
+  const olderCursorRef = useRef(undefined) // History cursor for the next older page; null once all are loaded
+  const olderLoadingRef = useRef(false)
+  const pendingHashRef = useRef(parseHash()) // Shared view to open once the schedule has loaded
+  const controlsRef = useRef(null)
   const clockTimeoutRef = useRef(null)
   const { isOpen: isMetadataOpen, onOpen: onMetadataOpen, onClose: onMetadataClose } = useDisclosure()
   const { isOpen: isHistoryOpen, onOpen: onHistoryOpen, onClose: onHistoryClose } = useDisclosure()
+  const { isOpen: isSettingsOpen, onOpen: onSettingsOpen, onClose: onSettingsClose } = useDisclosure()
+  const [controlsVisible, setControlsVisible] = useState(true)
+
+  // Calculate which slot of the cycle we're in; cycles are aligned to the Unix epoch like on the server
+  const getSlotIndex = () => {
+    const slotMs = config.slotMinutes * 60 * 1000
+    const cycleMs = config.cycleMinutes * 60 * 1000
+    return Math.floor((currentTime.getTime() % cycleMs) / slotMs)
+  }
 
-  // Calculate which photo to display based on current minute's decade
-  const getPhotoIndex = () => {
-    const minutes = currentTime.getMinutes()
-    // 0-9 = 0, 10-19 = 1, 20-29 = 2, 30-39 = 3, 40-49 = 4, 50-59 = 5
-    return Math.floor(minutes / 10)
+  // Find the wall-clock slot the server assigned to the current time
+  const getCurrentSlot = () => {
+    const now = currentTime.getTime()
+    return slots.find(slot => slot.start <= now && now < slot.end)
   }
 
-  const fetchPhotosForHour = async (hour) => {
+  // Show a schedule and keep an offline copy of it
+  const applySlots = (nextSlots) => {
+    slotsRef.current = nextSlots
+    setSlots(nextSlots)
+  }
+
+  // Fetch which photo belongs to each slot from now until `to` (an hour ahead by default)
+  // When prefetching, every photo in the result is preloaded as well
+  const fetchSchedule = async (to = getNow() + SCHEDULE_AHEAD_MS, prefetch = false) => {
+    fetchingRef.current = true
+    const now = getNow()
+    // Earlier slots of the cycle are kept so they can be browsed back to
+    const cycleMs = configRef.current.cycleMinutes * 60 * 1000
+    const from = now - now % cycleMs
     try {
       setError(null)
-      setLoading(true)
-      
-      // Fetch 6 photos for the current hour
-      const response = await fetch(API_URL + '/api/photos')
+
+      const response = await fetch(`${API_URL}/api/schedule${CHANNEL_QUERY}${MODE_QUERY}${WALL_QUERY}&from=${from}&to=${to}`)
       if (!response.ok) {
-        throw new Error('Failed to fetch photos')
+        throw new Error(response.status === 404 ? `Unknown channel "${CHANNEL}"` : 'Failed to fetch photos')
       }
-      
-      const fetchedPhotos = await response.json()
-      setPhotos(fetchedPhotos)
-      setLoading(false)
-      lastFetchedHour.current = hour
+
+      // stale photos are the server's last good set while Unsplash is unavailable
+      const data = await response.json()
+      if (data.stale) {
+        console.warn('Server returned stale photos')
+      }
+
+      const fetchedSlots = data.slots.map(slot => ({ ...slot, start: Date.parse(slot.start), end: Date.parse(slot.end) }))
+      const scheduleEnd = fetchedSlots.length > 0 ? fetchedSlots[fetchedSlots.length - 1].end : now
+      const nextSlots = mergeSlots(slotsRef.current.filter(slot => slot.end > from), fetchedSlots)
+      applySlots(nextSlots)
+      setWall(data.wall)
+      setPlaybackMode(data.mode)
+      saveOffline(OFFLINE_SCHEDULE_KEY, nextSlots)
+      saveOffline(OFFLINE_WALL_KEY, data.wall)
+      setOffline(false)
+      if (prefetch) {
+        fetchedSlots.forEach(slot => preloadImage(slot.photo))
+      }
+      refreshAtRef.current = data.stale
+        ? now + STALE_RETRY_MS
+        : Math.min(Math.max(scheduleEnd - REFRESH_MARGIN_MS, now + RETRY_MS), now + POLL_MS)
     } catch (err) {
       console.error('Error fetching photos:', err)
+      setOffline(true)
+      // After a reload without network, fall back to the schedule saved last time
+      if (slotsRef.current.length === 0) {
+        const cachedSlots = await loadOffline(OFFLINE_SCHEDULE_KEY)
+        if (cachedSlots) {
+          applySlots(cachedSlots.filter(slot => slot.end > from))
+          setWall(await loadOffline(OFFLINE_WALL_KEY))
+        }
+      }
       setError(err.message)
+      refreshAtRef.current = now + RETRY_MS
+    } finally {
       setLoading(false)
+      fetchingRef.current = false
     }
   }
 
-  // Update time every second
+  // Update time every second, refetching the schedule before it runs out
+  // and prefetching the next cycle's set shortly before it starts.
+  // Ticks land on whole seconds of the server's clock, so every screen changes photo at once.
   useEffect(() => {
-    const timeInterval = setInterval(() => {
-      const now = new Date()
+    let tickTimeout = null
+    // A few ms past the second, as timers can fire slightly early
+    const untilNextSecond = () => 1000 - getNow() % 1000 + 10
+    const tick = () => {
+      tickTimeout = setTimeout(tick, untilNextSecond())
+      const now = new Date(getNow())
       setCurrentTime(now)
-      
-      // Check if hour has changed
-      const currentHourValue = now.getHours()
-      if (currentHourValue !== currentHour) {
-        setCurrentHour(currentHourValue)
+
+      const cycleMs = configRef.current.cycleMinutes * 60 * 1000
+      const cycleEnd = Math.floor(now.getTime() / cycleMs) * cycleMs + cycleMs
+      const shouldPrefetch = now.getTime() >= cycleEnd - PREFETCH_LEAD_MS && prefetchedCycleRef.current !== cycleEnd
+
+      if (fetchingRef.current) {
+        return
+      }
+      if (shouldPrefetch) {
+        prefetchedCycleRef.current = cycleEnd
+        fetchSchedule(cycleEnd + cycleMs, true)
+      } else if (now.getTime() >= refreshAtRef.current) {
+        fetchSchedule()
       }
-    }, 1000)
+    }
+    tickTimeout = setTimeout(tick, untilNextSecond())
 
-    return () => clearInterval(timeInterval)
-  }, [currentHour])
+    return () => clearTimeout(tickTimeout)
+  }, [])
 
-  // Fetch photos when hour changes
+  // Keep correcting for clock drift
   useEffect(() => {
-    if (currentHour !== -1 && currentHour !== lastFetchedHour.current) {
-      fetchPhotosForHour(currentHour)
+    const syncInterval = setInterval(syncClock, CLOCK_SYNC_MS)
+    return () => clearInterval(syncInterval)
+  }, [])
+
+  // Fetch the server's slot rhythm, falling back to the copy saved last time
+  const fetchConfig = async () => {
+    try {
+      const response = await fetch(API_URL + '/api/config')
+      if (!response.ok) {
+        throw new Error(`Failed to fetch config: ${response.status}`)
+      }
+      const fetchedConfig = await response.json()
+      configRef.current = fetchedConfig
+      setConfig(fetchedConfig)
+      saveOffline(OFFLINE_CONFIG_KEY, fetchedConfig)
+    } catch (err) {
+      console.error('Error fetching config:', err)
+      const cachedConfig = await loadOffline(OFFLINE_CONFIG_KEY)
+      if (cachedConfig) {
+        configRef.current = cachedConfig
+        setConfig(cachedConfig)
+      }
+    }
+  }
+
+  // Fetch which photos are favorites
+  const fetchFavorites = async () => {
+    try {
+      const response = await fetch(API_URL + '/api/favorites')
+      if (response.ok) {
+        const data = await response.json()
+        setFavoriteIds(new Set(data.favorites.map(photo => photo.id)))
+      }
+    } catch (err) {
+      console.error('Error fetching favorites:', err)
+    }
+  }
+
+  // Add or remove a photo from favorites
+  const toggleFavorite = async (photo) => {
+    const isFavorite = favoriteIds.has(photo.id)
+    try {
+      const response = await fetch(`${API_URL}/api/favorites/${encodeURIComponent(photo.id)}`, {
+        method: isFavorite ? 'DELETE' : 'POST'
+      })
+      if (!response.ok) {
+        throw new Error(`Failed to update favorite: ${response.status}`)
+      }
+      setFavoriteIds(previous => {
+        const next = new Set(previous)
+        isFavorite ? next.delete(photo.id) : next.add(photo.id)
+        return next
+      })
+    } catch (err) {
+      console.error('Error updating favorite:', err)
     }
-  }, [currentHour])
+  }
+
+  // Replace the current photo on every screen showing this channel
+  const skipPhoto = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/skip${CHANNEL_QUERY}${MODE_QUERY}`, { method: 'POST' })
+      if (!response.ok) {
+        throw new Error(`Failed to skip photo: ${response.status}`)
+      }
+      fetchSchedule()
+    } catch (err) {
+      console.error('Error skipping photo:', err)
+    }
+  }
 
   // Initial fetch
   useEffect(() => {
-    const now = new Date()
-    const hour = now.getHours()
-    setCurrentHour(hour)
-    fetchPhotosForHour(hour)
-    fetchHistory()
+    // Settle the image format first so preloaded photos match the ones shown
+    Promise.all([fetchConfig(), detectImageFormat(), syncClock()]).then(() => fetchSchedule())
+    fetchFavorites()
   }, [])
 
-  // Fetch history
-  const fetchHistory = async () => {
+  // Pick image sizes again when the window is resized or the screen rotated
+  useEffect(() => {
+    let resizeTimeout = null
+    const handleResize = () => {
+      clearTimeout(resizeTimeout)
+      resizeTimeout = setTimeout(() => {
+        const next = getViewport()
+        setViewport(previous =>
+          previous.width === next.width && previous.height === next.height && previous.dpr === next.dpr ? previous : next
+        )
+      }, RESIZE_DELAY_MS)
+    }
+    window.addEventListener('resize', handleResize)
+    window.addEventListener('orientationchange', handleResize)
+    return () => {
+      clearTimeout(resizeTimeout)
+      window.removeEventListener('resize', handleResize)
+      window.removeEventListener('orientationchange', handleResize)
+    }
+  }, [])
+
+  // Hide the control buttons while the mouse or touch screen is idle
+  useEffect(() => {
+    if (!SETTINGS.autoHideControls) {
+      return
+    }
+    let hideTimeout = setTimeout(() => setControlsVisible(false), CONTROLS_HIDE_MS)
+    const showControls = () => {
+      setControlsVisible(true)
+      clearTimeout(hideTimeout)
+      hideTimeout = setTimeout(() => setControlsVisible(false), CONTROLS_HIDE_MS)
+    }
+    window.addEventListener('mousemove', showControls)
+    window.addEventListener('touchstart', showControls)
+    return () => {
+      clearTimeout(hideTimeout)
+      window.removeEventListener('mousemove', showControls)
+      window.removeEventListener('touchstart', showControls)
+    }
+  }, [])
+
+  // Start of the current cycle, on the same epoch-aligned grid as the server
+  const getCycleStart = () => {
+    const cycleMs = config.cycleMinutes * 60 * 1000
+    return currentTime.getTime() - currentTime.getTime() % cycleMs
+  }
+
+  // Photos that can be browsed, oldest first: earlier history, then every slot of this cycle
+  const getBrowsePhotos = () => {
+    const cycleStart = getCycleStart()
+    const cycleEnd = cycleStart + config.cycleMinutes * 60 * 1000
+    const cyclePhotos = slots.filter(slot => slot.start >= cycleStart && slot.start < cycleEnd).map(slot => slot.photo)
+    return [...olderHistory, ...cyclePhotos]
+  }
+
+  // Load the next page of photos shown before this cycle; returns them oldest first
+  const loadOlderHistory = async () => {
+    if (olderCursorRef.current === null || olderLoadingRef.current) {
+      return []
+    }
+    olderLoadingRef.current = true
+    try {
+      const cursorQuery = olderCursorRef.current ? `&cursor=${encodeURIComponent(olderCursorRef.current)}` : ''
+      const response = await fetch(`${API_URL}/api/history${CHANNEL_QUERY}&to=${getCycleStart()}&limit=${BROWSE_PAGE_SIZE}${cursorQuery}`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch history: ${response.status}`)
+      }
+      const data = await response.json()
+      olderCursorRef.current = data.nextCursor
+      // Entries recorded before history kept image URLs can't be shown
+      const photos = data.history.filter(item => item.urls).reverse().map(historyToPhoto)
+      setOlderHistory(previous => [...photos, ...previous])
+      return photos
+    } catch (err) {
+      console.error('Error fetching history:', err)
+      return []
+    } finally {
+      olderLoadingRef.current = false
+    }
+  }
+
+  // History before this cycle is loaded again once the cycle moves on
+  const cycleStart = getCycleStart()
+  useEffect(() => {
+    setOlderHistory([])
+    olderCursorRef.current = undefined
+  }, [cycleStart])
+
+  // Step through the browsable photos; stepping onto the live photo resumes live playback
+  const browse = async (step) => {
+    const livePhoto = getCurrentSlot()?.photo
+    const photos = getBrowsePhotos()
+    const ids = photos.map(photo => photo.id)
+    const paused = navigation?.paused || false
+    let position = ids.lastIndexOf((navigation?.photo || livePhoto)?.id)
+    if (position === -1) {
+      position = ids.lastIndexOf(livePhoto?.id)
+    }
+
+    const target = position + step
+    if (target < 0) {
+      const older = await loadOlderHistory()
+      if (older.length > 0) {
+        setNavigation({ photo: older[older.length - 1], paused })
+      }
+      return
+    }
+    if (target >= photos.length) {
+      return
+    }
+    setNavigation(photos[target].id === livePhoto?.id && !paused ? null : { photo: photos[target], paused })
+  }
+
+  // Hold the photo on screen, or let it go again
+  const togglePause = () => {
+    const livePhoto = getCurrentSlot()?.photo
+    if (!navigation?.paused) {
+      setNavigation({ photo: navigation?.photo || livePhoto, paused: true })
+    } else {
+      setNavigation(navigation.photo.id === livePhoto?.id ? null : { ...navigation, paused: false })
+    }
+  }
+
+  const handleKey = (event) => {
+    // Leave typing in the history search and keys inside dialogs alone
+    if (isHistoryOpen || isMetadataOpen || isSettingsOpen || event.target.tagName === 'INPUT') {
+      return
+    }
+    if (PREVIOUS_KEYS.includes(event.key)) {
+      browse(-1)
+    } else if (NEXT_KEYS.includes(event.key)) {
+      browse(1)
+    } else if (PAUSE_KEYS.includes(event.key)) {
+      togglePause()
+    } else if (LIVE_KEYS.includes(event.key)) {
+      setNavigation(null)
+    } else if (SETTINGS_KEYS.includes(event.key)) {
+      onSettingsOpen()
+    } else {
+      return
+    }
+    event.preventDefault()
+  }
+
+  // Show the photo named in the URL hash, looking back through history if it's not in this cycle
+  const openHash = async () => {
+    const target = parseHash()
+    let photo = target && getBrowsePhotos().findLast(photo => photo.id === target.id)
+    while (target && !photo) {
+      const older = await loadOlderHistory()
+      if (older.length === 0) {
+        break
+      }
+      photo = older.findLast(photo => photo.id === target.id)
+    }
+
+    pendingHashRef.current = null
+    if (!photo) {
+      writeHash(null)
+    }
+    setNavigation(photo ? { photo, paused: target.paused } : null)
+  }
+
+  // Listeners call the latest handlers, so they see current state
+  controlsRef.current = { handleKey, openHash }
+  useEffect(() => {
+    const handleKeyDown = event => controlsRef.current.handleKey(event)
+    const handleHashChange = () => controlsRef.current.openHash()
+    window.addEventListener('keydown', handleKeyDown)
+    window.addEventListener('hashchange', handleHashChange)
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('hashchange', handleHashChange)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!loading && pendingHashRef.current) {
+      openHash()
+    }
+  }, [loading])
+
+  // Mirror navigation in the URL hash, and go back to live after a while without input
+  useEffect(() => {
+    if (!pendingHashRef.current) {
+      writeHash(navigation)
+    }
+    if (!navigation) {
+      return
+    }
+    const resumeTimeout = setTimeout(() => setNavigation(null), navigation.paused ? PAUSE_TIMEOUT_MS : BROWSE_TIMEOUT_MS)
+    return () => clearTimeout(resumeTimeout)
+  }, [navigation])
+
+  // History search/filter parameters, shared by paging and export links
+  const getHistoryQuery = () => {
+    return historySearch.trim() ? `${CHANNEL_QUERY}&q=${encodeURIComponent(historySearch.trim())}` : CHANNEL_QUERY
+  }
+
+  // Fetch a page of history (newest first); without a cursor the list starts over
+  const fetchHistory = async (cursor = null) => {
     try {
-      const response = await fetch(API_URL + '/api/history')
+      setHistoryLoading(true)
+      const cursorQuery = cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''
+      const response = await fetch(`${API_URL}/api/history${getHistoryQuery()}&limit=${HISTORY_PAGE_SIZE}${cursorQuery}`)
       if (response.ok) {
         const data = await response.json()
-        setHistory(data.history || [])
+        setHistory(previous => cursor ? [...previous, ...data.history] : data.history)
+        setHistoryCursor(data.nextCursor)
+        setHistoryTotal(data.total)
       }
     } catch (err) {
       console.error('Error fetching history:', err)
+    } finally {
+      setHistoryLoading(false)
     }
   }
 
+  // Search history as the user types, once they pause
+  useEffect(() => {
+    if (!isHistoryOpen) {
+      return
+    }
+    const searchTimeout = setTimeout(() => fetchHistory(), HISTORY_SEARCH_DELAY_MS)
+    return () => clearTimeout(searchTimeout)
+  }, [historySearch, isHistoryOpen])
+
   // Handle clock click to hide temporarily
   const handleClockClick = () => {
     // Clear any existing timeout
@@ -116,20 +652,10 @@ function App() {
     }
   }, [])
 
-  // Calculate hour progress percentage
-  const getHourProgress = () => {
-    const minutes = currentTime.getMinutes()
-    const seconds = currentTime.getSeconds()
-    const totalSecondsInHour = 60 * 60
-    const currentSecondsInHour = minutes * 60 + seconds
-    return Math.round((currentSecondsInHour / totalSecondsInHour) * 100)
-  }
-
-  // Format time as HH:MM
-  const formatTime = (date) => {
-    const hours = date.getHours().toString().padStart(2, '0')
-    const minutes = date.getMinutes().toString().padStart(2, '0')
-    return `${hours}:${minutes}`
+  // Calculate cycle progress percentage
+  const getCycleProgress = () => {
+    const cycleMs = config.cycleMinutes * 60 * 1000
+    return Math.round(((currentTime.getTime() % cycleMs) / cycleMs) * 100)
   }
 
   if (loading) {
@@ -143,7 +669,10 @@ function App() {
     )
   }
 
-  if (error) {
+  const currentSlot = getCurrentSlot()
+
+  // Errors only matter once there's nothing left to show
+  if (error && !currentSlot) {
     return (
       <Center h="100vh" bg="gray.900">
         <VStack spacing={4}>
@@ -151,15 +680,21 @@ function App() {
             Error: {error}
           </Text>
           <Text color="white" fontSize="sm">
-            Make sure the server is running on http://localhost:5000
+            Make sure the server is running on {API_URL}
           </Text>
         </VStack>
       </Center>
     )
   }
 
-  const photoIndex = getPhotoIndex()
-  const currentPhoto = photos[photoIndex]
+  const photoIndex = getSlotIndex()
+
+  // On a spanning wall each screen shows its tile of a photo sized for the whole wall
+  const tile = wall?.mode === 'span' && (wall.rows > 1 || wall.columns > 1) ? wall : null
+  const photoViewport = tile ? { ...viewport, width: viewport.width * tile.columns, height: viewport.height * tile.rows } : viewport
+
+  // While browsing or paused, the chosen photo replaces the live one
+  const currentPhoto = navigation?.photo || currentSlot?.photo
 
   if (!currentPhoto) {
     return (
@@ -169,7 +704,9 @@ function App() {
     )
   }
 
-  const hourProgress = getHourProgress()
+  const cycleProgress = getCycleProgress()
+  const nextPhoto = currentSlot && slots.find(slot => slot.start === currentSlot.end)?.photo
+  const slotMs = config.slotMinutes * 60 * 1000
 
   return (
     <Box
@@ -178,154 +715,203 @@ function App() {
       position="relative"
       overflow="hidden"
       bg="gray.900"
-      cursor="pointer"
+      cursor={SETTINGS.kiosk || !controlsVisible ? 'none' : 'pointer'}
     >
-      <Image
-        src={currentPhoto.urls.raw || currentPhoto.urls.full || currentPhoto.urls.regular}
+      <PhotoLayers
+        src={getImageSrc(currentPhoto, photoViewport)}
         alt={currentPhoto.alt_description || currentPhoto.description || 'Unsplash photo'}
-        w="100%"
-        h="100%"
-        objectFit="cover"
-        transition="opacity 2s ease-in-out"
-        draggable={false}
-        loading="eager"
+        placeholder={getPlaceholder(currentPhoto)}
+        nextSrc={nextPhoto && getImageSrc(nextPhoto, photoViewport)}
+        effect={tile ? 'fade' : TRANSITION_OVERRIDE || config.transition}
+        durationMs={slotMs}
+        tile={tile}
       />
       
       {/* Clock at the top */}
-      <Center
-        position="absolute"
-        top="20px"
-        left="50%"
-        transform="translateX(-50%)"
-        pointerEvents="auto"
-        cursor="pointer"
-        onClick={handleClockClick}
-        opacity={clockOpacity}
-        transition="opacity 1s ease-in-out"
-      >
-        <VStack spacing={2}>
+      {SETTINGS.showClock && (
+        <Clock
+          time={currentTime}
+          settings={SETTINGS}
+          color={currentPhoto.color}
+          accent={navigation ? null : currentSlot?.accent}
+          progress={cycleProgress}
+          fontSize={CLOCK_SIZES[SETTINGS.clockSize]}
+          opacity={clockOpacity}
+          onClick={handleClockClick}
+        />
+      )}
+      
+      <VStack position="absolute" top="20px" left="20px" spacing={2} align="flex-start" zIndex={10}>
+        {/* Offline indicator in top left - cached photos keep showing */}
+        {offline && (
           <Box
-            bg="blackAlpha.200"
+            bg="blackAlpha.500"
             color="white"
-            px={8}
-            py={2}
-            borderRadius="99"
-            backdropFilter="blur(10px)"
+            px={3}
+            py={1}
+            borderRadius="full"
+            opacity={0.7}
           >
-            <Text fontSize="8xl" fontWeight="bold" fontFamily="mono">
-              {formatTime(currentTime)}
-            </Text>
+            <Text fontSize="xs">Offline</Text>
           </Box>
-          <Box w="100%" px={8}>
-            <Progress
-              value={hourProgress}
-              size="xs"
-              colorScheme="yellow"
-              bgColor="blackAlpha.500"
-              borderRadius="full"
-              isAnimated
-            />
-          </Box>
-        </VStack>   
-      </Center>
-      
+        )}
+
+        {/* Not-live indicator while browsing or paused */}
+        {navigation && (
+          <HStack
+            bg="blackAlpha.600"
+            color="white"
+            pl={3}
+            pr={1}
+            py={1}
+            borderRadius="full"
+            spacing={2}
+          >
+            <Text fontSize="sm">{navigation.paused ? '⏸ Paused' : '◀ ▶ Browsing'}</Text>
+            <Button size="xs" borderRadius="full" onClick={() => setNavigation(null)}>
+              Live (L)
+            </Button>
+          </HStack>
+        )}
+      </VStack>
+
       {/* Control buttons in top right */}
-      <HStack
-        position="absolute"
-        top="20px"
-        right="20px"
-        spacing={2}
-        zIndex={10}
-      >
-        <IconButton
-          aria-label="Show history"
-          icon={<Text fontSize="lg">📜</Text>}
-          onClick={() => {
-            fetchHistory()
-            onHistoryOpen()
-          }}
-          bg="blackAlpha.500"
-          color="white"
-          _hover={{ bg: "blackAlpha.700" }}
-          size="md"
-        />
-        <Button
-          onClick={onMetadataOpen}
-          bg="blackAlpha.500"
-          color="white"
-          _hover={{ bg: "blackAlpha.700" }}
-          size="md"
+      {!SETTINGS.kiosk && (
+        <HStack
+          position="absolute"
+          top="20px"
+          right="20px"
+          spacing={2}
+          zIndex={10}
+          opacity={controlsVisible ? 1 : 0}
+          pointerEvents={controlsVisible ? 'auto' : 'none'}
+          transition="opacity 0.5s ease-in-out"
         >
-          Metadata
-        </Button>
-      </HStack>
+          <IconButton
+            aria-label="Show history"
+            icon={<Text fontSize="lg">📜</Text>}
+            onClick={onHistoryOpen}
+            bg="blackAlpha.500"
+            color="white"
+            _hover={{ bg: "blackAlpha.700" }}
+            size="md"
+          />
+          {!navigation && playbackMode !== 'favorites' && (
+            <IconButton
+              aria-label="Skip photo"
+              icon={<Text fontSize="lg">⏭</Text>}
+              onClick={skipPhoto}
+              bg="blackAlpha.500"
+              color="white"
+              _hover={{ bg: "blackAlpha.700" }}
+              size="md"
+            />
+          )}
+          <IconButton
+            aria-label={favoriteIds.has(currentPhoto.id) ? 'Remove from favorites' : 'Add to favorites'}
+            icon={<Text fontSize="lg">{favoriteIds.has(currentPhoto.id) ? '★' : '☆'}</Text>}
+            onClick={() => toggleFavorite(currentPhoto)}
+            bg="blackAlpha.500"
+            color={favoriteIds.has(currentPhoto.id) ? 'yellow.300' : 'white'}
+            _hover={{ bg: "blackAlpha.700" }}
+            size="md"
+          />
+          <Button
+            onClick={onMetadataOpen}
+            bg="blackAlpha.500"
+            color="white"
+            _hover={{ bg: "blackAlpha.700" }}
+            size="md"
+          >
+            Metadata
+          </Button>
+          <IconButton
+            aria-label="Settings"
+            icon={<Text fontSize="lg">⚙</Text>}
+            onClick={onSettingsOpen}
+            bg="blackAlpha.500"
+            color="white"
+            _hover={{ bg: "blackAlpha.700" }}
+            size="md"
+          />
+        </HStack>
+      )}
 
       {/* Photo info overlay */}
-      <Box
-        position="absolute"
-        bottom={0}
-        left={0}
-        right={0}
-        bg="blackAlpha.500"
-        color="white"
-        paddingX={4}
-        paddingY={2}
-      >
-        <HStack>
-          {currentPhoto.user && (
-            <Box>
-              <Text fontSize="sm" fontWeight="bold">
-                Photo by{' '}
-                <Link
-                  href={currentPhoto.user.links?.html || `https://unsplash.com/@${currentPhoto.user.username}`}
-                  isExternal
-                  color="yellow.100"
-                  _hover={{ color: "yellow.200", textDecoration: "underline" }}
-                  textDecoration="none"
-                >
-                  {currentPhoto.user.name}
-                </Link>
-                {currentPhoto.user.instagram_username && (
-                  <Text as="span" fontSize="xs" ml={2} opacity={0.8}>
-                    (@{currentPhoto.user.instagram_username})
+      {SETTINGS.showInfo && (
+        <Box
+          position="absolute"
+          bottom={0}
+          left={0}
+          right={0}
+          bg="blackAlpha.500"
+          color="white"
+          paddingX={4}
+          paddingY={2}
+        >
+          <HStack>
+            {currentPhoto.user && (
+              <Box>
+                <Text fontSize="sm" fontWeight="bold">
+                  Photo by{' '}
+                  <Link
+                    href={withReferral(currentPhoto.user.links?.html || `https://unsplash.com/@${currentPhoto.user.username}`, config.appName)}
+                    isExternal
+                    color="yellow.100"
+                    _hover={{ color: "yellow.200", textDecoration: "underline" }}
+                    textDecoration="none"
+                  >
+                    {currentPhoto.user.name}
+                  </Link>
+                  {currentPhoto.user.instagram_username && (
+                    <Text as="span" fontSize="xs" ml={2} opacity={0.8}>
+                      (@{currentPhoto.user.instagram_username})
+                    </Text>
+                  )}
+                  {currentPhoto.links?.html && (
+                    <Text as="span" fontSize="xs" ml={2} opacity={0.6}>
+                      on{' '}
+                      <Link
+                        href={withReferral('https://unsplash.com/', config.appName)}
+                        isExternal
+                        color="yellow.100"
+                        _hover={{ color: "yellow.200", textDecoration: "underline" }}
+                        textDecoration="none"
+                        opacity={0.7}
+                      >
+                        Unsplash
+                      </Link>
+                    </Text>
+                  )}
+                </Text>
+                {currentPhoto.description && (
+                  <Text fontSize="xs" mt={1} noOfLines={2}>
+                    {currentPhoto.description}
                   </Text>
                 )}
-                {currentPhoto.links?.html && (
-                  <Text as="span" fontSize="xs" ml={2} opacity={0.6}>
-                    on{' '}
-                    <Link
-                      href={currentPhoto.links.html}
-                      isExternal
-                      color="yellow.100"
-                      _hover={{ color: "yellow.200", textDecoration: "underline" }}
-                      textDecoration="none"
-                      opacity={0.7}
-                    >
-                      Unsplash
-                    </Link>
+              </Box>
+            )}
+            <Spacer />
+            <VStack spacing={1} align="flex-end">
+              <HStack spacing={2}>
+                {CHANNEL !== 'default' && (
+                  <Text fontSize="xs" opacity={0.7} textTransform="capitalize">
+                    {CHANNEL}
                   </Text>
                 )}
-              </Text>
-              {currentPhoto.description && (
-                <Text fontSize="xs" mt={1} noOfLines={2}>
-                  {currentPhoto.description}
+                <Text fontSize="sm" fontWeight="bold">
+                  Photo {photoIndex + 1} / {config.photosPerCycle}
                 </Text>
-              )}
-            </Box>
-          )}
-          <Spacer />
-          <VStack spacing={1} align="flex-end">
-            <HStack spacing={2}>
-              <Text fontSize="sm" fontWeight="bold">
-                Photo {photoIndex + 1} / {PHOTOS_PER_HOUR}
+              </HStack>
+              <Text fontSize="xs">
+                {cycleProgress}% of {config.cycleMinutes === 60 ? 'hour' : 'cycle'}
               </Text>
-            </HStack>
-            <Text fontSize="xs">
-              {hourProgress}% of hour
-            </Text>
-          </VStack>
-        </HStack>
-      </Box>
+            </VStack>
+          </HStack>
+        </Box>
+      )}
+
+      <SettingsPanel isOpen={isSettingsOpen} onClose={onSettingsClose} settings={SETTINGS} onSave={saveSettings} />
 
       {/* Metadata Modal */}
       <Modal isOpen={isMetadataOpen} onClose={onMetadataClose} size="md">
@@ -526,6 +1112,21 @@ function App() {
           <ModalHeader>Recent Photos History</ModalHeader>
           <ModalCloseButton />
           <ModalBody pb={6}>
+            <HStack spacing={2} mb={4}>
+              <Input
+                placeholder="Search photographer or description"
+                value={historySearch}
+                onChange={(e) => setHistorySearch(e.target.value)}
+                size="sm"
+                borderColor="gray.600"
+              />
+              <Button as="a" href={`${API_URL}/api/history/export${getHistoryQuery()}&format=csv`} size="sm" bg="gray.700" color="white" _hover={{ bg: "gray.600" }}>
+                CSV
+              </Button>
+              <Button as="a" href={`${API_URL}/api/history/export${getHistoryQuery()}&format=json`} size="sm" bg="gray.700" color="white" _hover={{ bg: "gray.600" }}>
+                JSON
+              </Button>
+            </HStack>
             <TableContainer>
               <Table variant="simple" size="sm">
                 <Thead>
@@ -544,16 +1145,15 @@ function App() {
                       </Td>
                     </Tr>
                   ) : (
-                    [...history].reverse().map((item, index) => {
-                      const displayIndex = history.length - index;
+                    history.map((item) => {
                       const truncatedDescription = item.description 
                         ? (item.description.length > 80 ? item.description.substring(0, 80) + '...' : item.description)
                         : 'No description';
                       return (
-                        <Tr key={index}>
+                        <Tr key={item.seq}>
                           <Td>
                             <Text fontSize="xs" fontWeight="bold" opacity={0.6}>
-                              #{displayIndex}
+                              #{item.seq}
                             </Text>
                           </Td>
                           <Td>
@@ -574,7 +1174,13 @@ function App() {
                               fontWeight="bold"
                               noOfLines={1}
                             >
-                              {item.name || 'Untitled'}
+                              {item.userLink ? (
+                                <Link href={item.userLink} isExternal _hover={{ color: "yellow.200", textDecoration: "underline" }}>
+                                  {item.name || 'Untitled'}
+                                </Link>
+                              ) : (
+                                item.name || 'Untitled'
+                              )}
                             </Text>
                           </Td>
                           <Td>
@@ -589,6 +1195,24 @@ function App() {
                 </Tbody>
               </Table>
             </TableContainer>
+            <HStack mt={4}>
+              <Text fontSize="xs" opacity={0.6}>
+                Showing {history.length} of {historyTotal}
+              </Text>
+              <Spacer />
+              {historyCursor && (
+                <Button
+                  onClick={() => fetchHistory(historyCursor)}
+                  isLoading={historyLoading}
+                  size="sm"
+                  bg="gray.700"
+                  color="white"
+                  _hover={{ bg: "gray.600" }}
+                >
+                  Load more
+                </Button>
+              )}
+            </HStack>
           </ModalBody>
         </ModalContent>
       </Modal>
@@ -0,0 +1,130 @@
+import React, { useMemo } from 'react'
+import { Box, Center, HStack, Progress, Text, VStack } from '@chakra-ui/react'
+import { isValidTimeZone } from './settings'
+
+// Relative luminance (0-1) of a #rrggbb color, or null if it can't be read
+const getLuminance = (color) => {
+  const match = /^#?([\da-f]{2})([\da-f]{2})([\da-f]{2})$/i.exec(color || '')
+  if (!match) {
+    return null
+  }
+  const [r, g, b] = match.slice(1).map(hex => {
+    const channel = parseInt(hex, 16) / 255
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4
+  })
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b
+}
+
+// Dark text on a light backdrop over bright photos, light text on a dark one otherwise
+const LIGHT_PHOTO_LUMINANCE = 0.4
+const THEMES = {
+  light: { color: 'gray.900', bg: 'whiteAlpha.500', trackBg: 'whiteAlpha.600', subtle: 'whiteAlpha.400' },
+  dark: { color: 'white', bg: 'blackAlpha.200', trackBg: 'blackAlpha.500', subtle: 'blackAlpha.300' }
+}
+
+// "America/New_York" -> "New York"
+const getZoneLabel = (timeZone) => timeZone.split('/').pop().replace(/_/g, ' ')
+
+// "Tokyo=Asia/Tokyo, Europe/London" -> [{ label: 'Tokyo', timeZone: 'Asia/Tokyo' }, { label: 'London', ... }]
+const parseWorldClocks = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [label, timeZone] = entry.includes('=') ? entry.split('=').map(part => part.trim()) : [null, entry]
+    return { label: label || getZoneLabel(timeZone), timeZone }
+  })
+
+const createTimeFormat = ({ clockFormat, clockSeconds }, timeZone) => new Intl.DateTimeFormat(undefined, {
+  hour: clockFormat === '12h' ? 'numeric' : '2-digit',
+  minute: '2-digit',
+  second: clockSeconds ? '2-digit' : undefined,
+  hourCycle: clockFormat === '12h' ? 'h12' : 'h23',
+  timeZone: timeZone || undefined
+})
+
+// Clock with the cycle's progress underneath, plus optional date and world clocks
+//   settings - the screen's clock settings (see settings.js)
+//   color    - the photo's dominant color, used to keep the clock legible
+//   accent   - the set's accent color from the server, tinting the progress bar
+function Clock({ time, settings, color, accent, progress, fontSize, opacity, onClick }) {
+  const formats = useMemo(() => {
+    const worldClocks = parseWorldClocks(settings.worldClocks).filter(clock => isValidTimeZone(clock.timeZone))
+    return {
+      time: createTimeFormat(settings, settings.timeZone),
+      date: new Intl.DateTimeFormat(undefined, { weekday: 'long', day: 'numeric', month: 'long', timeZone: settings.timeZone || undefined }),
+      worldClocks: worldClocks.map(clock => ({ ...clock, format: createTimeFormat({ ...settings, clockSeconds: false }, clock.timeZone) }))
+    }
+  }, [settings])
+
+  const luminance = getLuminance(color)
+  const theme = luminance !== null && luminance > LIGHT_PHOTO_LUMINANCE ? THEMES.light : THEMES.dark
+
+  return (
+    <Center
+      position="absolute"
+      top="20px"
+      left="50%"
+      transform="translateX(-50%)"
+      pointerEvents="auto"
+      cursor="pointer"
+      onClick={onClick}
+      opacity={opacity}
+      transition="opacity 1s ease-in-out"
+    >
+      <VStack spacing={2}>
+        <Box
+          bg={theme.bg}
+          color={theme.color}
+          px={8}
+          py={2}
+          borderRadius="99"
+          backdropFilter="blur(10px)"
+          textAlign="center"
+          transition="background-color 2s, color 2s"
+        >
+          <Text fontSize={fontSize} fontWeight="bold" fontFamily="mono" whiteSpace="nowrap">
+            {formats.time.format(time)}
+          </Text>
+          {settings.clockDate && (
+            <Text fontSize="xl" mt={-2} mb={2}>
+              {formats.date.format(time)}
+            </Text>
+          )}
+        </Box>
+        <Box w="100%" px={8}>
+          <Progress
+            value={progress}
+            size="xs"
+            colorScheme="yellow"
+            bgColor={theme.trackBg}
+            borderRadius="full"
+            isAnimated
+            sx={accent ? { '& > div': { bg: accent, transition: 'background-color 2s' } } : undefined}
+          />
+        </Box>
+        {formats.worldClocks.length > 0 && (
+          <HStack spacing={2} flexWrap="wrap" justify="center">
+            {formats.worldClocks.map(clock => (
+              <Box
+                key={`${clock.label}-${clock.timeZone}`}
+                bg={theme.subtle}
+                color={theme.color}
+                px={3}
+                py={1}
+                borderRadius="full"
+                backdropFilter="blur(10px)"
+              >
+                <Text fontSize="sm" whiteSpace="nowrap">
+                  {clock.label} <Text as="span" fontFamily="mono" fontWeight="bold">{clock.format.format(time)}</Text>
+                </Text>
+              </Box>
+            ))}
+          </HStack>
+        )}
+      </VStack>
+    </Center>
+  )
+}
+
+export default Clock
@@ -0,0 +1,136 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Box, Image } from '@chakra-ui/react'
+import { keyframes } from '@emotion/react'
+
+export const TRANSITIONS = ['fade', 'slide', 'kenburns']
+
+const TRANSITION_MS = 2000
+
+const fadeIn = keyframes`
+  from { opacity: 0; }
+  to { opacity: 1; }
+`
+
+const slideIn = keyframes`
+  from { transform: translateX(100%); }
+  to { transform: translateX(0); }
+`
+
+const slideOut = keyframes`
+  from { transform: translateX(0); }
+  to { transform: translateX(-100%); }
+`
+
+// Slow pan and zoom across the whole slot
+const kenBurns = keyframes`
+  from { transform: scale(1) translate(0, 0); }
+  to { transform: scale(1.15) translate(-2%, -1%); }
+`
+
+// CSS animation for a layer, depending on the effect and whether it's coming or going
+const getAnimation = (effect, isIncoming, durationMs) => {
+  if (effect === 'slide') {
+    return `${isIncoming ? slideIn : slideOut} ${TRANSITION_MS}ms ease-in-out forwards`
+  }
+  if (effect === 'kenburns') {
+    // The outgoing layer keeps panning while the new one fades in over it
+    return `${fadeIn} ${TRANSITION_MS}ms ease-in-out, ${kenBurns} ${durationMs}ms linear forwards`
+  }
+  return isIncoming ? `${fadeIn} ${TRANSITION_MS}ms ease-in-out` : 'none'
+}
+
+// Where the image sits in the screen: all of it, or this screen's tile of a photo spanning a wall
+const getPlacement = (tile) => tile
+  ? { left: `${-tile.column * 100}%`, top: `${-tile.row * 100}%`, w: `${tile.columns * 100}%`, h: `${tile.rows * 100}%` }
+  : { inset: 0, w: '100%', h: '100%' }
+
+// Load and decode an image off-screen; resolves to null if it fails to load or decode
+// Images load with CORS so the service worker gets readable responses it can cache, not opaque ones
+const decodeImage = (src) => {
+  const image = new window.Image()
+  image.crossOrigin = 'anonymous'
+  image.src = src
+  return image.decode().then(() => image, () => null)
+}
+
+// Two stacked image layers: a new photo is decoded off-screen, then transitions in over the
+// previous one, so a half-loaded photo never paints. nextSrc is decoded ahead of its slot.
+//   placeholder - { src, color } shown until the first photo has loaded
+//   effect      - 'fade', 'slide' or 'kenburns'
+//   durationMs  - how long the photo stays up (the Ken Burns pan spans it)
+//   tile        - { row, column, rows, columns } to show only this screen's part of a wall-sized photo
+function PhotoLayers({ src, alt, placeholder, nextSrc, effect = 'fade', durationMs, tile }) {
+  const [layers, setLayers] = useState([]) // Oldest first; the last one is on top
+  const layerIdRef = useRef(0)
+  const preloadedRef = useRef(null) // Keeps the decoded next image alive
+
+  useEffect(() => {
+    let cancelled = false
+    decodeImage(src).then(image => {
+      // A photo that fails to load keeps the current one up instead of transitioning to a blank layer
+      if (cancelled || !image) {
+        return
+      }
+      layerIdRef.current += 1
+      const layer = { id: layerIdRef.current, src, alt, durationMs }
+      setLayers(previous => [...previous.slice(-1), layer])
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [src])
+
+  // Drop the outgoing layer once the transition is over
+  useEffect(() => {
+    if (layers.length < 2) {
+      return
+    }
+    const cleanupTimeout = setTimeout(() => setLayers(previous => previous.slice(-1)), TRANSITION_MS)
+    return () => clearTimeout(cleanupTimeout)
+  }, [layers])
+
+  useEffect(() => {
+    if (nextSrc) {
+      decodeImage(nextSrc).then(image => {
+        preloadedRef.current = image
+      })
+    }
+  }, [nextSrc])
+
+  return (
+    <Box position="absolute" inset={0} overflow="hidden" bg={placeholder?.color}>
+      {layers.length === 0 && placeholder?.src && (
+        <Image
+          src={placeholder.src}
+          alt={alt}
+          crossOrigin="anonymous"
+          position="absolute"
+          {...getPlacement(tile)}
+          objectFit="cover"
+          filter="blur(20px)"
+          transform="scale(1.1)" // Hides the blurred edges
+          draggable={false}
+        />
+      )}
+      {layers.map((layer, index) => {
+        const isIncoming = index === layers.length - 1
+        return (
+          <Image
+            key={layer.id}
+            src={layer.src}
+            alt={layer.alt}
+            crossOrigin="anonymous"
+            position="absolute"
+            {...getPlacement(tile)}
+            objectFit="cover"
+            zIndex={isIncoming ? 1 : 0}
+            animation={getAnimation(effect, isIncoming, layer.durationMs)}
+            draggable={false}
+          />
+        )
+      })}
+    </Box>
+  )
+}
+
+export default PhotoLayers
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react'
+import { Button, FormControl, FormHelperText, FormLabel, HStack, Input, Modal, ModalBody, ModalCloseButton, ModalContent, ModalFooter, ModalHeader, ModalOverlay, Select, Switch, VStack } from '@chakra-ui/react'
+import { CLOCK_FORMATS, CLOCK_SIZES, DEFAULT_SETTINGS, WALL_MODES, isValidTimeZone } from './settings'
+import { TRANSITIONS } from './PhotoLayers'
+
+const SWITCHES = [
+  { key: 'showClock', label: 'Show clock' },
+  { key: 'clockSeconds', label: 'Show seconds' },
+  { key: 'clockDate', label: 'Show date' },
+  { key: 'showInfo', label: 'Show photo info' },
+  { key: 'autoHideControls', label: 'Hide buttons when idle' },
+  { key: 'kiosk', label: 'Kiosk mode (no cursor, no buttons)' }
+]
+
+// Edits a copy of the settings; saving hands them back to be stored
+function SettingsPanel({ isOpen, onClose, settings, onSave }) {
+  const [draft, setDraft] = useState(settings)
+
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(settings)
+    }
+  }, [isOpen])
+
+  const update = (key, value) => setDraft(previous => ({ ...previous, [key]: value }))
+  const timeZoneInvalid = Boolean(draft.timeZone) && !isValidTimeZone(draft.timeZone)
+  const screenIdInvalid = !/^[\w-]{0,64}$/.test(draft.screenId)
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} size="md" scrollBehavior="inside">
+      <ModalOverlay />
+      <ModalContent bg="gray.800" color="white">
+        <ModalHeader>Settings</ModalHeader>
+        <ModalCloseButton />
+        <ModalBody>
+          <VStack spacing={4} align="stretch">
+            <FormControl>
+              <FormLabel fontSize="sm">API URL</FormLabel>
+              <Input size="sm" borderColor="gray.600" value={draft.apiUrl} onChange={(e) => update('apiUrl', e.target.value)} />
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">Channel</FormLabel>
+              <Input size="sm" borderColor="gray.600" value={draft.channel} onChange={(e) => update('channel', e.target.value)} />
+            </FormControl>
+            <HStack spacing={4}>
+              <FormControl>
+                <FormLabel fontSize="sm">Playback</FormLabel>
+                <Select size="sm" borderColor="gray.600" value={draft.mode} onChange={(e) => update('mode', e.target.value)}>
+                  <option value="">Server default</option>
+                  <option value="live">Live</option>
+                  <option value="favorites">Favorites</option>
+                </Select>
+              </FormControl>
+              <FormControl>
+                <FormLabel fontSize="sm">Transition</FormLabel>
+                <Select size="sm" borderColor="gray.600" value={draft.transition} onChange={(e) => update('transition', e.target.value)}>
+                  <option value="">Server default</option>
+                  {TRANSITIONS.map(transition => (
+                    <option key={transition} value={transition}>{transition}</option>
+                  ))}
+                </Select>
+              </FormControl>
+            </HStack>
+            <HStack spacing={4}>
+              <FormControl>
+                <FormLabel fontSize="sm">Clock size</FormLabel>
+                <Select size="sm" borderColor="gray.600" value={draft.clockSize} onChange={(e) => update('clockSize', e.target.value)}>
+                  {Object.keys(CLOCK_SIZES).map(size => (
+                    <option key={size} value={size}>{size}</option>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl>
+                <FormLabel fontSize="sm">Clock format</FormLabel>
+                <Select size="sm" borderColor="gray.600" value={draft.clockFormat} onChange={(e) => update('clockFormat', e.target.value)}>
+                  {CLOCK_FORMATS.map(format => (
+                    <option key={format} value={format}>{format}</option>
+                  ))}
+                </Select>
+              </FormControl>
+            </HStack>
+            <FormControl isInvalid={timeZoneInvalid}>
+              <FormLabel fontSize="sm">Time zone</FormLabel>
+              <Input size="sm" borderColor="gray.600" placeholder="This device's, or e.g. Europe/Berlin" value={draft.timeZone} onChange={(e) => update('timeZone', e.target.value.trim())} />
+            </FormControl>
+            <FormControl>
+              <FormLabel fontSize="sm">World clocks</FormLabel>
+              <Input size="sm" borderColor="gray.600" placeholder="Tokyo=Asia/Tokyo, America/New_York" value={draft.worldClocks} onChange={(e) => update('worldClocks', e.target.value)} />
+            </FormControl>
+            <HStack spacing={4} align="flex-end">
+              <FormControl isInvalid={screenIdInvalid}>
+                <FormLabel fontSize="sm">Wall screen ID</FormLabel>
+                <Input size="sm" borderColor="gray.600" placeholder="Not on a wall" value={draft.screenId} onChange={(e) => update('screenId', e.target.value.trim())} />
+              </FormControl>
+              <FormControl>
+                <FormLabel fontSize="sm">Wall mode</FormLabel>
+                <Select size="sm" borderColor="gray.600" value={draft.wallMode} isDisabled={!draft.screenId} onChange={(e) => update('wallMode', e.target.value)}>
+                  {WALL_MODES.map(mode => (
+                    <option key={mode} value={mode}>{mode}</option>
+                  ))}
+                </Select>
+              </FormControl>
+              {['wallRow', 'wallColumn'].map(key => (
+                <FormControl key={key} w="80px" flexShrink={0}>
+                  <FormLabel fontSize="sm">{key === 'wallRow' ? 'Row' : 'Column'}</FormLabel>
+                  <Input size="sm" borderColor="gray.600" type="number" min={0} value={draft[key]} isDisabled={!draft.screenId} onChange={(e) => update(key, Math.max(0, parseInt(e.target.value, 10) || 0))} />
+                </FormControl>
+              ))}
+            </HStack>
+            {SWITCHES.map(({ key, label }) => (
+              <FormControl key={key} display="flex" alignItems="center">
+                <Switch id={`setting-${key}`} isChecked={draft[key]} onChange={(e) => update(key, e.target.checked)} mr={3} />
+                <FormLabel htmlFor={`setting-${key}`} fontSize="sm" mb={0}>{label}</FormLabel>
+              </FormControl>
+            ))}
+            <FormControl>
+              <FormHelperText color="gray.400" fontSize="xs">
+                Press S to open settings when the buttons are hidden. Query parameters in the page URL override saved settings.
+              </FormHelperText>
+            </FormControl>
+          </VStack>
+        </ModalBody>
+        <ModalFooter>
+          <Button size="sm" variant="ghost" colorScheme="whiteAlpha" mr="auto" onClick={() => setDraft(DEFAULT_SETTINGS)}>
+            Reset
+          </Button>
+          <Button size="sm" variant="ghost" colorScheme="whiteAlpha" mr={2} onClick={onClose}>
+            Cancel
+          </Button>
+          <Button size="sm" colorScheme="yellow" isDisabled={timeZoneInvalid || screenIdInvalid} onClick={() => onSave(draft)}>
+            Save and reload
+          </Button>
+        </ModalFooter>
+      </ModalContent>
+    </Modal>
+  )
+}
+
+export default SettingsPanel
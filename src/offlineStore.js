@@ -0,0 +1,46 @@
+// Minimal IndexedDB key-value store for data the slideshow needs offline
+// (the schedule and server config). Failures resolve to null/no-op, so
+// private browsing or a missing IndexedDB only costs the offline copy.
+
+const DB_NAME = 'unsplash-slideshow'
+const STORE_NAME = 'kv'
+
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+export const loadOffline = async (key) => {
+  try {
+    return (await runRequest('readonly', store => store.get(key))) ?? null
+  } catch (err) {
+    console.error('Error reading offline cache:', err)
+    return null
+  }
+}
+
+export const saveOffline = async (key, value) => {
+  try {
+    await runRequest('readwrite', store => store.put(value, key))
+  } catch (err) {
+    console.error('Error writing offline cache:', err)
+  }
+}
@@ -0,0 +1,139 @@
+// Per-screen display settings: saved in localStorage by the settings panel, with
+// query parameters taking precedence, so one build can serve differently set-up screens,
+// e.g. ?channel=nature&clock=0&kiosk=1
+
+const STORAGE_KEY = 'settings'
+
+export const CLOCK_SIZES = { small: '5xl', medium: '7xl', large: '8xl' }
+export const CLOCK_FORMATS = ['24h', '12h']
+export const WALL_MODES = ['distinct', 'span']
+
+export const DEFAULT_SETTINGS = {
+  apiUrl: 'https://unsplash-slideshow.onrender.com',
+  channel: 'default',
+  mode: '', // Server default
+  transition: '', // Server default
+  showClock: true,
+  clockSize: 'large',
+  clockFormat: '24h',
+  clockSeconds: false,
+  clockDate: false,
+  timeZone: '', // The device's own
+  worldClocks: '', // e.g. "Tokyo=Asia/Tokyo, Europe/London"
+  showInfo: true,
+  autoHideControls: false,
+  kiosk: false,
+  screenId: '', // Set to put this screen on the channel's video wall
+  wallMode: 'distinct',
+  wallRow: 0,
+  wallColumn: 0
+}
+
+// Query parameter for each setting
+export const SETTING_PARAMS = {
+  apiUrl: 'api',
+  channel: 'channel',
+  mode: 'mode',
+  transition: 'transition',
+  showClock: 'clock',
+  clockSize: 'clockSize',
+  clockFormat: 'clockFormat',
+  clockSeconds: 'seconds',
+  clockDate: 'date',
+  timeZone: 'tz',
+  worldClocks: 'worldClocks',
+  showInfo: 'info',
+  autoHideControls: 'autohide',
+  kiosk: 'kiosk',
+  screenId: 'screen',
+  wallMode: 'wall',
+  wallRow: 'row',
+  wallColumn: 'column'
+}
+
+// Parse a setting from text, or undefined if it isn't valid for that setting
+const parseSetting = (key, value) => {
+  if (typeof DEFAULT_SETTINGS[key] === 'boolean') {
+    if (['1', 'true', 'yes', 'on'].includes(value)) {
+      return true
+    }
+    if (['0', 'false', 'no', 'off'].includes(value)) {
+      return false
+    }
+    return undefined
+  }
+  if (typeof DEFAULT_SETTINGS[key] === 'number') {
+    const number = Number(value)
+    return Number.isInteger(number) && number >= 0 ? number : undefined
+  }
+  if (key === 'screenId' && !/^[\w-]{0,64}$/.test(value)) {
+    return undefined
+  }
+  if (key === 'wallMode' && !WALL_MODES.includes(value)) {
+    return undefined
+  }
+  if (key === 'clockSize' && !CLOCK_SIZES[value]) {
+    return undefined
+  }
+  if (key === 'clockFormat' && !CLOCK_FORMATS.includes(value)) {
+    return undefined
+  }
+  if (key === 'timeZone' && value && !isValidTimeZone(value)) {
+    return undefined
+  }
+  return value
+}
+
+// IANA time zone names such as "Europe/Berlin" that this browser knows
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+const loadSaved = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {}
+  } catch (err) {
+    console.error('Error reading settings:', err)
+    return {}
+  }
+}
+
+// Saved settings with any query parameter overrides applied
+export const loadSettings = () => {
+  const settings = { ...DEFAULT_SETTINGS, ...loadSaved() }
+  const params = new URLSearchParams(window.location.search)
+  for (const [key, param] of Object.entries(SETTING_PARAMS)) {
+    const value = params.has(param) ? parseSetting(key, params.get(param)) : undefined
+    if (value !== undefined) {
+      settings[key] = value
+    }
+  }
+  settings.apiUrl = settings.apiUrl.replace(/\/+$/, '')
+  if (settings.timeZone && !isValidTimeZone(settings.timeZone)) {
+    settings.timeZone = ''
+  }
+  return settings
+}
+
+// Save settings and reload without the query overrides, so the saved values take effect
+export const saveSettings = (settings) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (err) {
+    console.error('Error saving settings:', err)
+    return
+  }
+  const params = new URLSearchParams(window.location.search)
+  Object.values(SETTING_PARAMS).forEach(param => params.delete(param))
+  const query = params.toString()
+  if (query === window.location.search.slice(1)) {
+    window.location.reload()
+  } else {
+    window.location.replace(window.location.pathname + (query ? `?${query}` : '') + window.location.hash)
+  }
+}
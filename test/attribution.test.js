@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { withReferral, createDownloadTracker } = require('../server/attribution');
+const { createRateLimiter } = require('../server/rateLimiter');
+const { createUnsplashProvider } = require('../server/providers/unsplash');
+
+const photo = id => ({ id, links: { download_location: `https://api.unsplash.com/photos/${id}/download` } });
+
+// Let retries scheduled a few milliseconds out run
+const settle = () => sleep(30);
+
+test('withReferral tags Unsplash links only', () => {
+  assert.equal(withReferral('https://unsplash.com/photos/a', 'wall'), 'https://unsplash.com/photos/a?utm_source=wall&utm_medium=referral');
+  assert.equal(withReferral('http://localhost:5000/photos/a.jpg', 'wall'), 'http://localhost:5000/photos/a.jpg');
+  assert.equal(withReferral('not a url', 'wall'), 'not a url');
+});
+
+test('each photo is reported once, across restarts', async () => {
+  const reported = [];
+  let changes = 0;
+  const tracker = createDownloadTracker({ track: async p => reported.push(p.id), tracked: ['old'], onChange: () => changes++ });
+
+  tracker.markActive(photo('a'));
+  tracker.markActive(photo('a'));
+  tracker.markActive(photo('old'));
+  tracker.markActive({ id: 'local' }); // Nothing to report to
+  await settle();
+  tracker.markActive(photo('a'));
+
+  assert.deepEqual(reported, ['a']);
+  assert.equal(changes, 1);
+  assert.deepEqual(tracker.toJSON(), ['old', 'a']);
+});
+
+test('failed reports are retried, then given up on', async t => {
+  t.mock.method(console, 'error', () => {});
+  let calls = 0;
+  const flaky = createDownloadTracker({
+    track: async () => {
+      if (++calls < 3) {
+        throw new Error('unavailable');
+      }
+    },
+    retryDelayMs: 1
+  });
+  flaky.markActive(photo('a'));
+  await settle();
+  assert.equal(calls, 3);
+  assert.deepEqual(flaky.toJSON(), ['a']);
+
+  let failures = 0;
+  const broken = createDownloadTracker({
+    track: async () => {
+      failures++;
+      throw new Error('unavailable');
+    },
+    maxAttempts: 2,
+    retryDelayMs: 1
+  });
+  broken.markActive(photo('b'));
+  await settle();
+  assert.equal(failures, 2);
+  assert.deepEqual(broken.toJSON(), []);
+  // Given up on, so it can be tried again when next shown
+  broken.markActive(photo('b'));
+  await settle();
+  assert.equal(failures, 4);
+});
+
+test('reports wait while upstream requests are paused', async () => {
+  const rateLimiter = createRateLimiter({ windowMs: 10 });
+  rateLimiter.update({ remaining: 0 });
+  const reported = [];
+  const tracker = createDownloadTracker({ track: async p => reported.push(p.id), check: rateLimiter.check, maxAttempts: 1 });
+
+  tracker.markActive(photo('a'));
+  assert.deepEqual(reported, []);
+  await settle();
+  assert.deepEqual(reported, ['a']);
+});
+
+test('Unsplash download tracking reports the rate limit', async () => {
+  const budgets = [];
+  const provider = createUnsplashProvider({
+    accessKey: 'key',
+    onRateLimit: info => budgets.push(info),
+    fetch: async () => new Response('{}', { headers: { 'X-Ratelimit-Limit': '50', 'X-Ratelimit-Remaining': '12' } })
+  });
+
+  await provider.trackDownload(photo('a'));
+  assert.deepEqual(budgets, [{ limit: 50, remaining: 12 }]);
+});
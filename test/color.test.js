@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toHsl, toHex, orderByColor, pickCoherentSet, getPalette } = require('../server/color');
+
+const photo = (id, color) => ({ id, color });
+const ids = photos => photos.map(p => p.id);
+
+test('toHsl reads #rrggbb colors and toHex writes them back', () => {
+  assert.deepEqual(toHsl('#ff0000'), { hue: 0, saturation: 1, lightness: 0.5 });
+  assert.deepEqual(toHsl('0000FF'), { hue: 240, saturation: 1, lightness: 0.5 });
+  assert.deepEqual(toHsl('#ffffff'), { hue: 0, saturation: 0, lightness: 1 });
+  assert.equal(toHsl('#fff'), null);
+  assert.equal(toHsl(null), null);
+
+  for (const color of ['#ff0000', '#1a4fa0', '#808080', '#0c2640']) {
+    assert.equal(toHex(toHsl(color)), color);
+  }
+});
+
+test('orderByColor starts from the darkest and steps to the closest color', () => {
+  const photos = [photo('white', '#f0f0f0'), photo('red', '#c02020'), photo('black', '#101010'), photo('pink', '#e06060'), photo('maroon', '#501010')];
+  assert.deepEqual(ids(orderByColor(photos)), ['black', 'maroon', 'red', 'pink', 'white']);
+  assert.deepEqual(orderByColor([]), []);
+});
+
+test('pickCoherentSet picks the closest colors, preferring earlier candidates', () => {
+  const candidates = [
+    photo('blue1', '#1a4fa0'), photo('red1', '#c02020'), photo('blue2', '#1d55a8'),
+    photo('red2', '#b82424'), photo('blue3', '#2050a0'), photo('green', '#20a040')
+  ];
+  assert.deepEqual(ids(pickCoherentSet(candidates, 3)), ['blue1', 'blue2', 'blue3']);
+  const same = [photo('x', '#1a4fa0'), photo('y', '#1a4fa0'), photo('z', '#1a4fa0')];
+  assert.deepEqual(ids(pickCoherentSet(same, 2)), ['x', 'y']);
+  assert.equal(pickCoherentSet(candidates.slice(0, 2), 3).length, 2);
+
+  // Neighbours can be turned away; with no full set possible the first candidates are kept
+  assert.deepEqual(ids(pickCoherentSet(candidates, 3, (chosen, p) => !p.id.startsWith('blue'))), ['red1', 'red2', 'green']);
+  assert.deepEqual(ids(pickCoherentSet(candidates, 3, () => false)), ['blue1', 'red1', 'blue2']);
+});
+
+test('getPalette lists the colors with a bright accent from the most typical one', () => {
+  const palette = getPalette([photo('a', '#1a4fa0'), photo('b', '#1d55a8'), photo('c', '#c02020'), photo('d', null)]);
+  assert.deepEqual(palette.colors, ['#1a4fa0', '#1d55a8', '#c02020']);
+  const accent = toHsl(palette.accent);
+  assert.ok(Math.abs(accent.hue - toHsl('#1d55a8').hue) < 2);
+  assert.ok(Math.abs(accent.lightness - 0.65) < 0.01);
+  assert.ok(accent.saturation >= 0.59);
+
+  // Greys stay grey
+  assert.equal(toHsl(getPalette([photo('a', '#808080')]).accent).saturation, 0);
+  assert.deepEqual(getPalette([photo('a')]), { colors: [], accent: null });
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, ConfigError } = require('../server/config');
+
+// A temp dir holding the given config file; nothing else is read from disk
+function withConfigFile(t, name, text) {
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slideshow-config-'));
+  t.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(rootDir, name), text);
+  return rootDir;
+}
+
+// The problems loadConfig reports for these settings
+function problemsFor(rootDir, env) {
+  try {
+    loadConfig({ env, rootDir });
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail('expected a ConfigError');
+}
+
+test('environment variables override the config file', t => {
+  const rootDir = withConfigFile(t, 'config.yaml', 'provider: mock\nslotMinutes: 5\ncycleMinutes: 30\ntransition: slide\n');
+
+  const { config, sources } = loadConfig({ env: { SLOT_MINUTES: '10', TRANSITION: '' }, rootDir });
+  assert.equal(config.slotMinutes, 10);
+  assert.equal(sources.slotMinutes, 'SLOT_MINUTES');
+  assert.equal(config.cycleMinutes, 30);
+  assert.equal(sources.cycleMinutes, 'config.yaml');
+  // Empty variables count as unset
+  assert.equal(config.transition, 'slide');
+  assert.equal(config.storagePath, path.join(rootDir, 'data', 'state.json'));
+});
+
+test('unknown settings are reported with the known ones', t => {
+  const rootDir = withConfigFile(t, 'config.json', JSON.stringify({ provider: 'mock', slotMinute: 5 }));
+
+  const problems = problemsFor(rootDir, {});
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /^Unknown setting "slotMinute" in .*config\.json\. Known settings: port, /);
+});
+
+test('a placeholder Unsplash access key is refused', t => {
+  const rootDir = withConfigFile(t, 'config.json', JSON.stringify({ accessKey: 'your_access_key' }));
+
+  assert.deepEqual(problemsFor(rootDir, {}), [
+    'The Unsplash access key is still the placeholder "your_access_key": set your own with UNSPLASH_ACCESS_KEY or accessKey'
+  ]);
+  assert.equal(loadConfig({ env: { UNSPLASH_ACCESS_KEY: 'real-key' }, rootDir }).config.accessKey, 'real-key');
+});
+
+test('a cycle must hold a whole number of slots, and every problem is reported at once', t => {
+  const rootDir = withConfigFile(t, 'config.json', JSON.stringify({ provider: 'mock', slotMinutes: 7, port: 0 }));
+
+  assert.deepEqual(problemsFor(rootDir, {}), [
+    'port must be a whole number from 1 to 65535, got 0 (in ' + path.join(rootDir, 'config.json') + ')',
+    'cycleMinutes (60) must be a whole multiple of slotMinutes (7)'
+  ]);
+  assert.deepEqual(problemsFor(rootDir, { PORT: '5000', SLOT_MINUTES: '1', BATCH_SIZE: '20' }), [
+    'A cycle can hold at most 30 photos, got 60 (cycleMinutes / slotMinutes)'
+  ]);
+});
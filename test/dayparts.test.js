@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDayparts, createLocalClock, findDaypart, applyDaypart, matchesColor } = require('../server/dayparts');
+
+const dayparts = normalizeDayparts('nature', [
+  { name: 'night', hours: '22-05', query: 'night sky', color: 'black' },
+  { name: 'weekend-mornings', hours: '5-12', days: 'sat,sun', topics: ['nature', 'travel'] },
+  { name: 'evening', hours: '18-22', orientation: 'portrait' }
+]);
+const nameAt = (hour, day = 'wed') => findDaypart(dayparts, { hour, day })?.name ?? null;
+
+test('hour ranges include the start hour, exclude the end hour and wrap past midnight', () => {
+  assert.equal(nameAt(21), 'evening');
+  assert.equal(nameAt(22), 'night');
+  assert.equal(nameAt(23), 'night');
+  assert.equal(nameAt(0), 'night');
+  assert.equal(nameAt(4), 'night');
+  assert.equal(nameAt(5), null);
+  assert.equal(nameAt(17), null);
+  assert.equal(nameAt(18), 'evening');
+});
+
+test('days limit a rule to some weekdays', () => {
+  assert.deepEqual(dayparts[1].days, ['sat', 'sun']);
+  assert.equal(nameAt(9, 'sat'), 'weekend-mornings');
+  assert.equal(nameAt(9, 'sun'), 'weekend-mornings');
+  assert.equal(nameAt(9, 'mon'), null);
+  assert.equal(findDaypart(undefined, { hour: 9, day: 'sat' }), null);
+});
+
+test('the local clock reads hours and weekdays in the given time zone', () => {
+  const local = createLocalClock('Asia/Tokyo');
+  // Friday 20:00 UTC is Saturday 05:00 in Tokyo
+  assert.deepEqual(local(Date.UTC(2026, 0, 2, 20)), { hour: 5, day: 'sat' });
+  assert.deepEqual(createLocalClock('UTC')(Date.UTC(2026, 0, 2, 0, 30)), { hour: 0, day: 'fri' });
+});
+
+test('a rule replaces the channel source filters and keeps its orientation unless overridden', () => {
+  const filters = { orientation: 'landscape', collections: '123' };
+  assert.deepEqual(applyDaypart(filters, dayparts[0]), { orientation: 'landscape', query: 'night sky' });
+  assert.deepEqual(applyDaypart(filters, dayparts[1]), { orientation: 'landscape', topics: 'nature,travel' });
+  assert.deepEqual(applyDaypart(filters, dayparts[2]), { orientation: 'portrait', collections: '123' });
+  assert.equal(applyDaypart(filters, null), filters);
+});
+
+test('rules that cannot be used are refused', () => {
+  const invalid = [
+    [{ name: 'x', hours: '5-5' }, /hours must look like/],
+    [{ name: 'x', hours: '25-03' }, /hours must look like/],
+    [{ name: 'x', hours: '5-9', days: 'someday' }, /days must list weekdays/],
+    [{ name: 'x', hours: '5-9', color: 'beige' }, /color must be one of/],
+    [{ name: 'x', hours: '5-9', query: 'a', topics: 'b' }, /can't be combined/],
+    [{ name: 'x', hours: '5-9', filter: 'a' }, /unknown field "filter"/]
+  ];
+  for (const [rule, message] of invalid) {
+    assert.throws(() => normalizeDayparts('nature', [rule]), message);
+  }
+  assert.throws(() => normalizeDayparts('nature', [{ name: 'x', hours: '1-2' }, { name: 'x', hours: '3-4' }]), /unique name/);
+});
+
+test('matchesColor sorts dominant colors into the Unsplash color names', () => {
+  const matches = color => ['black', 'white', 'black_and_white', 'red', 'green', 'blue']
+    .filter(name => matchesColor({ color }, name));
+
+  assert.deepEqual(matches('#ff0000'), ['red']);
+  assert.deepEqual(matches('#ff0010'), ['red']); // Hues just under 360 wrap round to red
+  assert.deepEqual(matches('#1f8f3a'), ['green']);
+  assert.deepEqual(matches('#1a4fa0'), ['blue']);
+  assert.deepEqual(matches('#111111'), ['black', 'black_and_white']);
+  assert.deepEqual(matches('#f5f5f5'), ['white', 'black_and_white']);
+  assert.deepEqual(matches('#808080'), ['black_and_white']);
+  // Too dark for its hue to count
+  assert.deepEqual(matches('#400000'), ['black']);
+  assert.deepEqual(matches('not a color'), []);
+  assert.deepEqual(matches(undefined), []);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { filterHistory, paginateHistory, historyToCsv } = require('../server/history');
+
+const START = Date.UTC(2026, 0, 1, 12);
+
+// History items 1..count, ten minutes apart, oldest first as the server keeps them
+const items = count => Array.from({ length: count }, (_, i) => ({
+  seq: i + 1,
+  id: `p${i + 1}`,
+  name: i % 2 ? 'Ada Lovelace' : 'Grace Hopper',
+  description: `Photo ${i + 1}`,
+  timestamp: new Date(START + i * 10 * 60 * 1000).toISOString()
+}));
+const seqs = page => page.map(item => item.seq);
+
+test('pages run newest first and follow the cursor to the end', () => {
+  const history = items(7);
+
+  const first = paginateHistory(history, { limit: '3' });
+  assert.deepEqual(seqs(first.history), [7, 6, 5]);
+  assert.equal(first.nextCursor, '5');
+  const second = paginateHistory(history, { limit: '3', cursor: first.nextCursor });
+  assert.deepEqual(seqs(second.history), [4, 3, 2]);
+  const last = paginateHistory(history, { limit: '3', cursor: second.nextCursor });
+  assert.deepEqual(seqs(last.history), [1]);
+  assert.equal(last.nextCursor, null);
+
+  // Items added since the first page don't shift later pages
+  const grown = [...history, ...items(9).slice(7)];
+  assert.deepEqual(seqs(paginateHistory(grown, { limit: '3', cursor: '5' }).history), [4, 3, 2]);
+});
+
+test('page sizes fall back to the default and are capped', () => {
+  const history = items(600);
+  assert.equal(paginateHistory(history, {}).history.length, 50);
+  assert.equal(paginateHistory(history, { limit: 'lots' }).history.length, 50);
+  assert.equal(paginateHistory(history, { limit: '0' }).history.length, 50);
+  assert.equal(paginateHistory(history, { limit: '-5' }).history.length, 1);
+  assert.equal(paginateHistory(history, { limit: '1000' }).history.length, 500);
+});
+
+test('filters combine a half-open time range with a text search', () => {
+  const history = items(6);
+  const from = START + 10 * 60 * 1000;
+  const to = START + 40 * 60 * 1000;
+
+  assert.deepEqual(seqs(filterHistory(history, { from, to })), [2, 3, 4]);
+  assert.deepEqual(seqs(filterHistory(history, { q: ' ada ' })), [2, 4, 6]);
+  assert.deepEqual(seqs(filterHistory(history, { from, to, q: 'photo 3' })), [3]);
+  assert.deepEqual(seqs(filterHistory(history)), [1, 2, 3, 4, 5, 6]);
+});
+
+test('CSV export quotes separators and keeps formulas from being evaluated', () => {
+  const csv = historyToCsv([
+    { timestamp: '2026-01-01T12:00:00.000Z', id: 'a', name: 'Smith, Jo', description: 'Said "hi"\nthen left', link: 'https://unsplash.com/photos/a' },
+    { timestamp: '2026-01-01T12:10:00.000Z', id: 'b', name: '=HYPERLINK("x")', description: '+1', link: '@sum', userLink: '-2' }
+  ]);
+
+  assert.equal(csv, [
+    'timestamp,id,name,description,link,userLink',
+    '2026-01-01T12:00:00.000Z,a,"Smith, Jo","Said ""hi""\nthen left",https://unsplash.com/photos/a,',
+    `2026-01-01T12:10:00.000Z,b,"'=HYPERLINK(""x"")",'+1,'@sum,'-2`,
+    ''
+  ].join('\r\n'));
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createImageCache } = require('../server/imageCache');
+
+const image = sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).png().toBuffer();
+
+// A cache in a temp dir whose downloads are recorded in `requested`
+async function createCache(t, options = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'slideshow-images-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const requested = [];
+  const fetch = async url => {
+    requested.push(url);
+    return new Response(await image, { headers: { 'Content-Type': 'image/png' } });
+  };
+  const cache = createImageCache({ directory, maxBytes: 1024 * 1024, fetch, ...options });
+  await cache.init();
+  return { cache, requested };
+}
+
+test('originals are downloaded at a capped size, not full resolution', async t => {
+  const { cache, requested } = await createCache(t);
+
+  await cache.ensureOriginal({
+    id: 'unsplash',
+    urls: { raw: 'https://images.unsplash.com/photo-1?ixid=abc', full: 'https://images.unsplash.com/photo-1?ixid=abc&q=85' }
+  });
+  await cache.ensureOriginal({ id: 'local', urls: { raw: 'http://localhost:5000/photos/a.jpg', full: 'http://localhost:5000/photos/a.jpg' } });
+
+  assert.deepEqual(requested, [
+    'https://images.unsplash.com/photo-1?ixid=abc&w=4096&fit=max',
+    'http://localhost:5000/photos/a.jpg'
+  ]);
+});
+
+test('pinned images over the limit are kept, and logged once', async t => {
+  const { cache } = await createCache(t, { maxBytes: 1, isPinned: () => true });
+  const warnings = t.mock.method(console, 'warn', () => {});
+
+  await cache.ensureOriginal({ id: 'a', urls: { full: 'https://images.example/a' } });
+  await cache.ensureOriginal({ id: 'b', urls: { full: 'https://images.example/b' } });
+
+  assert.equal(cache.stats().files, 2);
+  assert.equal(warnings.mock.callCount(), 1);
+  assert.match(warnings.mock.calls[0].arguments[0], /pinned images, over its 1 byte limit/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, RateLimitedError } = require('../server/rateLimiter');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// A limiter on a clock the test moves by hand
+function createLimiter(options) {
+  let now = Date.UTC(2026, 0, 1, 12);
+  const limiter = createRateLimiter({ now: () => now, ...options });
+  return { limiter, advance: ms => (now += ms), now: () => now };
+}
+
+test('requests pause for the window once the budget reaches the reserve', () => {
+  const { limiter, advance, now } = createLimiter({ reserve: 5 });
+
+  limiter.update({ limit: 50, remaining: 6 });
+  limiter.check();
+  limiter.update({ limit: 50, remaining: 5 });
+  assert.throws(() => limiter.check(), error => error instanceof RateLimitedError && error.retryAt === now() + HOUR);
+  assert.deepEqual(limiter.snapshot(), { limit: 50, remaining: 5, failures: 0, retryAt: now() + HOUR });
+
+  advance(HOUR);
+  limiter.check();
+});
+
+test('failures back off exponentially up to the cap, and a success resets them', () => {
+  const { limiter, advance, now } = createLimiter({ baseBackoffMs: MINUTE, maxBackoffMs: 5 * MINUTE });
+
+  const delays = [];
+  for (let i = 0; i < 5; i++) {
+    limiter.recordFailure(new Error('upstream down'));
+    delays.push(limiter.snapshot().retryAt - now());
+    advance(delays[i]);
+    limiter.check();
+  }
+  assert.deepEqual(delays, [1, 2, 4, 5, 5].map(minutes => minutes * MINUTE));
+
+  limiter.recordSuccess();
+  assert.deepEqual(limiter.snapshot(), { limit: null, remaining: null, failures: 0, retryAt: null });
+  limiter.recordFailure(new Error('upstream down'));
+  assert.equal(limiter.snapshot().retryAt - now(), MINUTE);
+});
+
+test('a 403 or 429 spends the rest of the window', () => {
+  for (const status of [403, 429]) {
+    const { limiter, advance, now } = createLimiter();
+    limiter.recordFailure(Object.assign(new Error('Rate Limit Exceeded'), { status }));
+    assert.equal(limiter.snapshot().remaining, 0);
+    assert.equal(limiter.snapshot().retryAt, now() + HOUR);
+
+    // A success can't lift the pause while no budget is known to be left
+    limiter.recordSuccess();
+    advance(HOUR - 1);
+    assert.throws(() => limiter.check(), RateLimitedError);
+    advance(1);
+    limiter.check();
+  }
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSchedule, parseTime } = require('../server/schedule');
+
+const schedule = createSchedule({ slotMinutes: 10, slotsPerCycle: 6 });
+const HOUR = 60 * 60 * 1000;
+const cycleStart = Date.UTC(2026, 0, 1, 12);
+
+test('cycles and slots are aligned to the epoch', () => {
+  assert.equal(schedule.cycleMs, HOUR);
+  assert.equal(schedule.getCycleStart(cycleStart), cycleStart);
+  assert.equal(schedule.getCycleStart(cycleStart + HOUR - 1), cycleStart);
+  assert.equal(schedule.getCycleStart(cycleStart + HOUR), cycleStart + HOUR);
+  assert.equal(schedule.getSlotIndex(cycleStart), 0);
+  assert.equal(schedule.getSlotIndex(cycleStart + 25 * 60 * 1000), 2);
+  assert.equal(schedule.getSlotIndex(cycleStart + HOUR - 1), 5);
+});
+
+test('buildSlots returns the slots overlapping the range, one photo each', () => {
+  const photos = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => ({ id }));
+  const next = ['g', 'h', 'i', 'j', 'k', 'l'].map(id => ({ id }));
+  const cycles = [{ start: cycleStart, photos }, { start: cycleStart + HOUR, photos: next }];
+
+  const slots = schedule.buildSlots(cycles, cycleStart + 35 * 60 * 1000, cycleStart + HOUR + 15 * 60 * 1000);
+  assert.deepEqual(slots.map(slot => slot.photo.id), ['d', 'e', 'f', 'g', 'h']);
+  assert.deepEqual(slots[0], {
+    index: 3,
+    start: new Date(cycleStart + 30 * 60 * 1000).toISOString(),
+    end: new Date(cycleStart + 40 * 60 * 1000).toISOString(),
+    photo: { id: 'd' }
+  });
+});
+
+test('parseTime reads epoch milliseconds and ISO dates', () => {
+  assert.equal(parseTime(undefined), null);
+  assert.equal(parseTime(''), null);
+  assert.equal(parseTime(String(cycleStart)), cycleStart);
+  assert.equal(parseTime(new Date(cycleStart).toISOString()), cycleStart);
+  assert.ok(Number.isNaN(parseTime('yesterday')));
+});
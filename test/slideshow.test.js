@@ -0,0 +1,337 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const sharp = require('sharp');
+const { createSlideshowServer } = require('../server/slideshow');
+const { createMemoryStore } = require('../server/storage');
+const { createMockProvider } = require('../server/providers/mock');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const CYCLE_START = Date.UTC(2026, 0, 1, 12);
+const ADMIN_TOKEN = 'test-token';
+
+// A 1x1 image for every download, so the image cache has something real to store
+const image = sharp({ create: { width: 1, height: 1, channels: 3, background: '#336699' } }).png().toBuffer();
+const fakeFetch = async () => new Response(await image, { headers: { 'Content-Type': 'image/png' } });
+
+// Fixture photos p0, p1, ... by the photographers user(i) names (everyone their own by default)
+function makePhotos(count, user = i => `user${i}`) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `p${i}`,
+    color: '#336699',
+    description: `Photo ${i}`,
+    urls: { full: `https://images.example/p${i}`, regular: `https://images.example/p${i}?w=1080` },
+    links: { html: `https://unsplash.com/photos/p${i}` },
+    user: { username: user(i), name: user(i) }
+  }));
+}
+
+// Image caches go in a temp dir, removed once the servers' background downloads are done
+const cacheRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'slideshow-test-'));
+process.on('exit', () => fs.rmSync(cacheRoot, { recursive: true, force: true }));
+
+// A server on a free port with a fake clock, five minutes into a cycle, and nothing written outside the temp dir
+async function startServer(t, { fixtures, ...options } = {}) {
+  let now = CYCLE_START + 5 * MINUTE;
+  const provider = createMockProvider(fixtures ? { fixtures } : {});
+  const imageCacheDir = fs.mkdtempSync(path.join(cacheRoot, 'images-'));
+  const slideshow = createSlideshowServer({
+    provider,
+    clock: () => now,
+    store: createMemoryStore(),
+    imageCacheDir,
+    fetch: fakeFetch,
+    channels: { default: {} },
+    adminToken: ADMIN_TOKEN,
+    requestLog: false,
+    ...options
+  });
+  await slideshow.ready;
+  const server = slideshow.app.listen(0);
+  await once(server, 'listening');
+  t.after(() => {
+    slideshow.close();
+    server.close();
+  });
+
+  const base = `http://localhost:${server.address().port}`;
+  async function request(method, url, { body, token } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(base + url, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+  }
+
+  return {
+    base,
+    provider,
+    request,
+    get: async url => (await request('GET', url)).body,
+    advance: ms => {
+      now += ms;
+    },
+    now: () => now
+  };
+}
+
+const ids = photos => photos.map(photo => photo.id);
+const usernames = photos => photos.map(photo => photo.user.username);
+
+test('/api/schedule assigns wall-clock slots by the server clock', async t => {
+  const server = await startServer(t, { fixtures: makePhotos(30) });
+
+  const current = await server.get('/api/schedule');
+  assert.equal(current.serverTime, new Date(server.now()).toISOString());
+  assert.deepEqual(current.slots.map(slot => slot.index), [0, 1, 2, 3, 4, 5]);
+  assert.equal(current.slots[0].start, new Date(CYCLE_START).toISOString());
+  assert.equal(current.slots[5].end, new Date(CYCLE_START + HOUR).toISOString());
+  assert.equal(new Set(current.slots.map(slot => slot.photo.id)).size, 6);
+
+  // Later in the cycle, the same photos keep their slots
+  server.advance(20 * MINUTE);
+  const later = await server.get('/api/schedule');
+  assert.deepEqual(later.slots.map(slot => slot.index), [2, 3, 4, 5]);
+  assert.deepEqual(ids(later.slots.map(slot => slot.photo)), ids(current.slots.slice(2).map(slot => slot.photo)));
+
+  // Asking past the cycle includes the next one, with a set of its own
+  const ahead = await server.get(`/api/schedule?to=${CYCLE_START + 2 * HOUR}`);
+  const next = ahead.slots.filter(slot => Date.parse(slot.start) >= CYCLE_START + HOUR);
+  assert.equal(next.length, 6);
+  assert.equal(next[0].start, new Date(CYCLE_START + HOUR).toISOString());
+  const currentIds = new Set(ids(current.slots.map(slot => slot.photo)));
+  assert.ok(next.every(slot => !currentIds.has(slot.photo.id)));
+
+  // Once the cycle turns, the upcoming set becomes the current one
+  server.advance(HOUR);
+  const turned = await server.get('/api/photos');
+  assert.deepEqual(ids(turned.photos), ids(next.map(slot => slot.photo)));
+});
+
+test('a new cycle saves the state once, not once per photo added to history', async t => {
+  const store = createMemoryStore();
+  let saves = 0;
+  const server = await startServer(t, { fixtures: makePhotos(30), store: { ...store, save: state => { saves++; store.save(state); } } });
+  await server.get('/api/photos');
+
+  saves = 0;
+  server.advance(HOUR);
+  await server.get('/api/photos');
+  assert.equal(saves, 1);
+  assert.equal(store.load().channels.default.photoHistory.length, 12);
+});
+
+test('history pages through shown photos with a cursor', async t => {
+  const server = await startServer(t, { fixtures: makePhotos(30) });
+  await server.get('/api/photos');
+  server.advance(HOUR);
+  await server.get('/api/photos');
+
+  const first = await server.get('/api/history?limit=8');
+  assert.deepEqual(ids(first.history), ['p11', 'p10', 'p9', 'p8', 'p7', 'p6', 'p5', 'p4']);
+  assert.equal(first.total, 12);
+  const second = await server.get(`/api/history?limit=8&cursor=${first.nextCursor}`);
+  assert.deepEqual(ids(second.history), ['p3', 'p2', 'p1', 'p0']);
+  assert.equal(second.nextCursor, null);
+
+  const invalid = await server.request('GET', '/api/history?cursor=abc');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, 'Invalid cursor');
+});
+
+test('a new cycle takes queued photos before fetching more', async t => {
+  const server = await startServer(t, { fixtures: makePhotos(30) });
+
+  // One batch of 10: six shown, four queued
+  const first = await server.get('/api/photos');
+  assert.deepEqual(ids(first.photos), ['p0', 'p1', 'p2', 'p3', 'p4', 'p5']);
+  assert.equal(server.provider.calls.length, 1);
+  const status = (await server.request('GET', '/api/admin/status', { token: ADMIN_TOKEN })).body;
+  assert.equal(status.queueLength, 4);
+
+  server.advance(HOUR);
+  const second = await server.get('/api/photos');
+  assert.deepEqual(ids(second.photos), ['p6', 'p7', 'p8', 'p9', 'p10', 'p11']);
+  assert.equal(server.provider.calls.length, 2);
+});
+
+test('the last set is served as stale while upstream fails, without retrying during the backoff', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const mock = createMockProvider({ fixtures: makePhotos(30) });
+  let failing = false;
+  let requests = 0;
+  const provider = {
+    ...mock,
+    fetchPhotos: params => {
+      requests++;
+      return failing ? Promise.reject(Object.assign(new Error('Unsplash API error: 500'), { status: 500 })) : mock.fetchPhotos(params);
+    }
+  };
+  const server = await startServer(t, { provider, batchSize: 6 });
+
+  const first = await server.get('/api/photos');
+  assert.equal(first.stale, false);
+
+  failing = true;
+  server.advance(HOUR);
+  const stale = await server.get('/api/photos');
+  assert.equal(stale.stale, true);
+  assert.deepEqual(ids(stale.photos), ids(first.photos));
+  assert.equal(requests, 2);
+
+  // Backing off: upstream isn't asked again until the delay is over
+  await server.get('/api/photos');
+  assert.equal(requests, 2);
+  const status = (await server.request('GET', '/api/admin/status', { token: ADMIN_TOKEN })).body;
+  assert.equal(status.rateLimit.failures, 1);
+
+  failing = false;
+  server.advance(MINUTE);
+  const fresh = await server.get('/api/photos');
+  assert.equal(fresh.stale, false);
+  assert.deepEqual(ids(fresh.photos), ['p6', 'p7', 'p8', 'p9', 'p10', 'p11']);
+});
+
+test('blocked photographers are replaced and left out of later sets', async t => {
+  const server = await startServer(t, { fixtures: makePhotos(30, i => `user${i % 3}`), maxPerPhotographer: 0 });
+
+  const before = await server.get('/api/photos');
+  assert.ok(usernames(before.photos).includes('user1'));
+
+  const anonymous = await server.request('POST', '/api/blocklist', { body: { type: 'user', value: 'user1' } });
+  assert.equal(anonymous.status, 401);
+  const added = await server.request('POST', '/api/blocklist', { body: { type: 'user', value: 'user1' }, token: ADMIN_TOKEN });
+  assert.equal(added.status, 201);
+
+  const after = await server.get('/api/photos');
+  assert.equal(after.photos.length, 6);
+  assert.ok(!usernames(after.photos).includes('user1'));
+
+  server.advance(HOUR);
+  const next = await server.get('/api/photos');
+  assert.equal(next.photos.length, 6);
+  assert.ok(!usernames(next.photos).includes('user1'));
+});
+
+test('recent photos are only repeated when nothing fresh is left, oldest first', async t => {
+  // The mock serves its 16 photos in a rotation, so fetches soon return photos already shown
+  const server = await startServer(t, { fixtures: makePhotos(16) });
+
+  const first = ids((await server.get('/api/photos')).photos);
+  server.advance(HOUR);
+  const second = ids((await server.get('/api/photos')).photos);
+  assert.ok(second.every(id => !first.includes(id)));
+
+  // Only four photos are left that haven't been shown; the rest come from the first set
+  server.advance(HOUR);
+  const third = ids((await server.get('/api/photos')).photos);
+  assert.equal(third.length, 6);
+  assert.ok(third.every(id => !second.includes(id)));
+  assert.equal(third.filter(id => first.includes(id)).length, 2);
+});
+
+test('a skipped photo is replaced by one not already on screen', async t => {
+  const server = await startServer(t);
+
+  const { photos } = await server.get('/api/photos');
+  for (let i = 0; i < 3; i++) {
+    const current = (await server.get('/api/photos')).photos;
+    const skipped = await server.request('POST', '/api/skip');
+    assert.equal(skipped.status, 200);
+    assert.equal(skipped.body.skipped, current[0].id);
+    assert.ok(!ids(current).includes(skipped.body.photo.id), `skip ${i + 1} brought back ${skipped.body.photo.id}`);
+
+    const after = ids((await server.get('/api/photos')).photos);
+    assert.equal(new Set(after).size, after.length);
+    assert.equal(after[0], skipped.body.photo.id);
+  }
+  assert.notEqual((await server.get('/api/photos')).photos[0].id, photos[0].id);
+});
+
+test('a set holds at most maxPerPhotographer photos by one photographer', async t => {
+  const server = await startServer(t, { fixtures: makePhotos(60, i => (i % 5 === 0 ? `user${i}` : 'prolific')) });
+
+  for (let cycle = 0; cycle < 3; cycle++) {
+    const { photos } = await server.get('/api/photos');
+    assert.equal(photos.length, 6);
+    assert.ok(usernames(photos).filter(name => name === 'prolific').length <= 2);
+    server.advance(HOUR);
+  }
+});
+
+test('the mock provider serves images generated from its fixtures', async t => {
+  const server = await startServer(t);
+  const { photos } = await server.get('/api/photos');
+  const url = new URL(photos[0].urls.regular);
+  assert.equal(url.pathname, `/api/mock-photos/${photos[0].id}`);
+
+  const response = await fetch(`${server.base}${url.pathname}${url.search}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('Content-Type'), 'image/jpeg');
+  const { format, width } = await sharp(Buffer.from(await response.arrayBuffer())).metadata();
+  assert.equal(format, 'jpeg');
+  assert.equal(width, 1100);
+
+  assert.equal((await fetch(`${server.base}/api/mock-photos/missing`)).status, 404);
+});
+
+test('favorites only look up photos that have been on screen', async t => {
+  const server = await startServer(t, { fixtures: makePhotos(30) });
+  const { photos } = await server.get('/api/photos');
+
+  assert.equal((await server.request('POST', `/api/favorites/${photos[0].id}`)).status, 201);
+  assert.equal(server.provider.calls.filter(call => call.id).length, 0);
+
+  // p20 is a valid fixture but was never shown, so the provider isn't asked for it
+  assert.equal((await server.request('POST', '/api/favorites/p20')).status, 404);
+  assert.equal(server.provider.calls.filter(call => call.id).length, 0);
+
+  // Photos from history have left the queue and are fetched again
+  server.advance(3 * HOUR);
+  await server.get('/api/photos');
+  assert.equal((await server.request('POST', `/api/favorites/${photos[1].id}`)).status, 201);
+  assert.deepEqual(server.provider.calls.filter(call => call.id), [{ id: photos[1].id }]);
+});
+
+test('admin routes and blocking a skipped photo need the admin token', async t => {
+  const server = await startServer(t);
+  await server.get('/api/photos');
+
+  assert.equal((await server.request('GET', '/api/admin/status')).status, 401);
+  assert.equal((await server.request('GET', '/api/admin/status', { token: 'wrong' })).status, 401);
+  assert.equal((await server.request('GET', '/api/admin/status', { token: ADMIN_TOKEN })).status, 200);
+
+  const anonymous = await server.request('POST', '/api/skip', { body: { block: true } });
+  assert.equal(anonymous.status, 401);
+  assert.deepEqual((await server.get('/api/blocklist')).blocklist.photo, []);
+
+  const blocked = await server.request('POST', '/api/skip', { body: { block: true }, token: ADMIN_TOKEN });
+  assert.equal(blocked.status, 200);
+  assert.deepEqual((await server.get('/api/blocklist')).blocklist.photo, [blocked.body.skipped]);
+});
+
+test('the admin API is disabled without an admin token', async t => {
+  const server = await startServer(t, { adminToken: '' });
+  assert.equal((await server.request('GET', '/api/admin/status', { token: 'anything' })).status, 403);
+});
+
+test('skips are capped per slot and refused in favorites playback', async t => {
+  const server = await startServer(t, { fixtures: makePhotos(30) });
+  const { photos } = await server.get('/api/photos');
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await server.request('POST', '/api/skip')).status, 200);
+  }
+  assert.equal((await server.request('POST', '/api/skip')).status, 429);
+
+  server.advance(10 * MINUTE);
+  assert.equal((await server.request('POST', '/api/skip')).status, 200);
+
+  assert.equal((await server.request('POST', `/api/favorites/${photos[0].id}`)).status, 201);
+  assert.equal((await server.request('POST', '/api/skip?mode=favorites')).status, 409);
+});
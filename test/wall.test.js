@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWalls } = require('../server/wall');
+
+const MINUTE = 60 * 1000;
+
+// Walls on a clock the test moves by hand
+function createTestWalls(saved, options) {
+  let now = Date.UTC(2026, 0, 1, 12);
+  const walls = createWalls(saved, { now: () => now, ...options });
+  return { walls, advance: ms => (now += ms) };
+}
+
+test('screens are listed in reading order with the grid they cover', () => {
+  const { walls } = createTestWalls();
+  walls.register('default', 'right', { row: 0, column: 1, mode: 'distinct' });
+  walls.register('default', 'bottom', { row: 1, column: 0, mode: 'distinct' });
+  walls.register('default', 'left', { row: 0, column: 0, mode: 'distinct' });
+
+  const { rows, columns, screens } = walls.list('default');
+  assert.equal(rows, 2);
+  assert.equal(columns, 2);
+  assert.deepEqual(screens.map(screen => screen.id), ['left', 'right', 'bottom']);
+  assert.deepEqual(walls.getPosition('default', 'bottom'), { id: 'bottom', mode: 'distinct', row: 1, column: 0, rows: 2, columns: 2, index: 2, count: 3 });
+  assert.equal(walls.getPosition('default', 'missing'), null);
+  assert.deepEqual(walls.list('other'), { rows: 0, columns: 0, screens: [] });
+});
+
+test('registering reports whether anything worth saving changed', () => {
+  const { walls, advance } = createTestWalls();
+  assert.equal(walls.register('default', 'a', { row: 0, column: 0, mode: 'span' }), true);
+  advance(MINUTE);
+  assert.equal(walls.register('default', 'a', { row: 0, column: 0, mode: 'span' }), false);
+  assert.equal(walls.register('default', 'a', { row: 0, column: 1, mode: 'span' }), true);
+  assert.equal(walls.register('default', 'a', { row: 0, column: 1, mode: 'distinct' }), true);
+
+  assert.equal(walls.remove('default', 'a'), true);
+  assert.equal(walls.remove('default', 'a'), false);
+});
+
+test('screens not seen for the timeout leave the wall and are dropped at the next registration', () => {
+  const { walls, advance } = createTestWalls({}, { screenTimeoutMs: 5 * MINUTE });
+  walls.register('default', 'gone', { row: 0, column: 0, mode: 'distinct' });
+  advance(3 * MINUTE);
+  walls.register('default', 'kept', { row: 0, column: 1, mode: 'distinct' });
+
+  advance(3 * MINUTE);
+  assert.deepEqual(walls.list('default').screens.map(screen => screen.id), ['kept']);
+  assert.ok(walls.toJSON().default.gone);
+
+  assert.equal(walls.register('default', 'kept', { row: 0, column: 1, mode: 'distinct' }), true);
+  assert.deepEqual(Object.keys(walls.toJSON().default), ['kept']);
+});
+
+test('a channel holds at most maxScreens screens', () => {
+  const { walls, advance } = createTestWalls({}, { maxScreens: 2 });
+  walls.register('default', 'a', { row: 0, column: 0, mode: 'distinct' });
+  walls.register('default', 'b', { row: 0, column: 1, mode: 'distinct' });
+
+  assert.throws(() => walls.register('default', 'c', { row: 0, column: 2, mode: 'distinct' }), error => error.status === 429);
+  // Known screens can still move, and other channels have their own room
+  walls.register('default', 'b', { row: 1, column: 0, mode: 'distinct' });
+  walls.register('other', 'c', { row: 0, column: 0, mode: 'distinct' });
+
+  // Once a screen times out, its place is free again
+  advance(6 * MINUTE);
+  walls.register('default', 'c', { row: 0, column: 2, mode: 'distinct' });
+  assert.deepEqual(Object.keys(walls.toJSON().default), ['c']);
+});
+
+test('saved walls are restored without sharing state with the caller', () => {
+  const saved = { default: { a: { row: 0, column: 0, mode: 'span', lastSeen: new Date(Date.UTC(2026, 0, 1, 12)).toISOString() } } };
+  const { walls } = createTestWalls(saved);
+  assert.equal(walls.list('default').screens.length, 1);
+  walls.remove('default', 'a');
+  assert.ok(saved.default.a);
+});
@@ -3,7 +3,7 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
-  base: '/unsplash-slideshow',
+  base: '/unsplash-slideshow/',
   server: {
     port: 3000,
     proxy: {